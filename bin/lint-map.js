@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// bin/lint-map.js
+// Checks map files against src/map-schema.js and the device SVGs (ESM, no deps).
+//
+// Usage:
+//   npm run lint-map [-- file.json …] [--device flx6] [--svg assets/board.svg] [--strict] [--quiet]
+//
+// - No files: every registry map (src/devices.js) plus learned_map.json / public/learned_map.json
+// - Each file is checked against its device's SVG: registry maps by their device, other files by
+//   --device (default flx6); --svg overrides the SVG for all of them
+// - Targets match any toIdVariants spelling (board.js), so "play_L" finds id="play_x5F_L"
+// - Reports malformed entries, duplicate keys, dangling targets (errors) and fan-out keys,
+//   unmapped controls (warnings); exits 1 on errors, or on warnings too with --strict
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { lintMap, unmappedTargets, isPlaceholder } from '../src/map-schema.js';
+import { DEVICES, DEFAULT_DEVICE, getDevice, entryMatchesDevice } from '../src/devices.js';
+import { toIdVariants } from '../src/board.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const LEARNED_FILES = ['learned_map.json', 'public/learned_map.json'];
+
+function parseArgs(argv) {
+  const out = { files: [], device: DEFAULT_DEVICE, svg: null, strict: false, quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--device') out.device = argv[++i];
+    else if (a === '--svg') out.svg = argv[++i];
+    else if (a === '--strict') out.strict = true;
+    else if (a === '--quiet') out.quiet = true;
+    else if (a === '-h' || a === '--help') out.help = true;
+    else out.files.push(a);
+  }
+  return out;
+}
+
+function usage() {
+  console.log('Usage: npm run lint-map [-- file.json …] [--device flx6] [--svg path] [--strict] [--quiet]');
+}
+
+const rel = (p) => path.relative(process.cwd(), p) || p;
+const fromRoot = (p) => path.resolve(ROOT, p.replace(/^\.?\//, ''));
+
+const svgCache = new Map();
+function svgIdsFor(file) {
+  if (!svgCache.has(file)) {
+    const text = fs.readFileSync(file, 'utf8');
+    svgCache.set(file, new Set([...text.matchAll(/\bid="([^"]+)"/g)].map(m => m[1])));
+  }
+  return svgCache.get(file);
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if (opts.help) { usage(); process.exit(0); }
+if (!getDevice(opts.device)) {
+  console.error(`[lint-map] unknown --device "${opts.device}" (known: ${DEVICES.map(d => d.id).join(', ')})`);
+  process.exit(1);
+}
+
+// file → device: registry maps belong to their device, anything else to --device
+const jobs = opts.files.length
+  ? opts.files.map(f => {
+      const abs = path.resolve(f);
+      const reg = DEVICES.find(d => fromRoot(d.map) === abs);
+      return { file: abs, device: reg ? reg.id : opts.device };
+    })
+  : [
+      ...DEVICES.map(d => ({ file: fromRoot(d.map), device: d.id })),
+      ...LEARNED_FILES.map(f => ({ file: fromRoot(f), device: opts.device })).filter(j => fs.existsSync(j.file)),
+    ];
+
+let errors = 0, warnings = 0;
+const byDevice = new Map(); // device → [entries…] for the unmapped check
+
+function report(where, level, rule, msg) {
+  if (level === 'error') errors++; else warnings++;
+  if (level === 'warning' && opts.quiet) return;
+  console.log(`${where}  ${level === 'error' ? 'error  ' : 'warning'}  ${rule.padEnd(9)}  ${msg}`);
+}
+
+for (const { file, device } of jobs) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    report(rel(file), 'error', 'malformed', `cannot read: ${e?.message || e}`);
+    continue;
+  }
+  const svgFile = opts.svg ? path.resolve(opts.svg) : fromRoot(getDevice(device).svg);
+  let svgIds = null;
+  try { svgIds = svgIdsFor(svgFile); } catch { report(rel(svgFile), 'warning', 'dangling', 'SVG not readable; target ids not checked'); }
+
+  const issues = lintMap(entries, { svgIds, idVariants: toIdVariants, device });
+  for (const it of issues) {
+    const what = it.key ? `${it.key} → ${it.target || '?'}` : (it.target || '');
+    report(`${rel(file)}#${it.index}`, it.level, it.rule, `${what}${what ? ': ' : ''}${it.message}`);
+  }
+  if (Array.isArray(entries)) {
+    const list = byDevice.get(device) || [];
+    list.push(entries.filter(e => e && typeof e === 'object' && entryMatchesDevice(e, device)));
+    byDevice.set(device, list);
+    const placeholders = entries.filter(isPlaceholder).length;
+    if (!opts.quiet) console.log(`${rel(file)}: ${entries.length} entries (${placeholders} placeholders), device ${device}`);
+  }
+}
+
+for (const [device, maps] of byDevice) {
+  for (const t of unmappedTargets(maps, toIdVariants)) {
+    report(`[${device}]`, 'warning', 'unmapped', `${t}: no MIDI key in any ${device} map`);
+  }
+}
+
+console.log(`[lint-map] ${errors} error(s), ${warnings} warning(s)`);
+process.exit(errors || (opts.strict && warnings) ? 1 : 0);
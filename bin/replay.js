@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// bin/replay.js
+// Headless replay: stream a recorder take into a room as a host (ESM).
+// Viewers / OBS scenes see the same frames host.html would send, without a controller.
+//
+// Usage:
+//   npm run replay -- take.json [--url ws://localhost:8787] [--room default] [--token SECRET]
+//                               [--speed 1] [--loop] [--in 0] [--out <ms>] [--origin https://…] [--claim]
+//
+// - take.json is what FLXRec.exportJSON()/download() writes ({version:1, events:[{t, info}]});
+//   a .mid file works too (converted with src/midi-file.js)
+// - --in/--out trim the take (ms, original timing); --speed scales playback
+// - Events go out as {type:'midi_like', payload: info}, exactly like ws.js host send()
+// - Only the room's active host is relayed (server/host-arbiter.js): playback starts once the
+//   server reports this socket as primary. With another host live the replay exits, unless
+//   --claim takes over; losing the role mid-replay stops it. host:beat goes out every second.
+// - server.js enforces its Origin allow-list on every socket, so an allowed Origin
+//   header is sent (--origin / REPLAY_ORIGIN, default: the server's hardcoded domain)
+
+import fs from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { WebSocket } from 'ws';
+import { parseSMF } from '../src/midi-file.js';
+
+const CLOSE_UNAUTHORIZED = 4401;
+const HOST_BEAT_MS = 1000;
+
+function parseArgs(argv) {
+  const out = { file: null, url: process.env.WS_URL || 'ws://localhost:8787', room: 'default', token: '', origin: process.env.REPLAY_ORIGIN || 'https://setsoutofcontext.com', speed: 1, loop: false, in: 0, out: Infinity, claim: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => argv[++i];
+    if (a === '--url') out.url = next();
+    else if (a === '--room') out.room = next();
+    else if (a === '--token') out.token = next();
+    else if (a === '--origin') out.origin = next();
+    else if (a === '--speed') out.speed = Number(next());
+    else if (a === '--loop') out.loop = true;
+    else if (a === '--claim') out.claim = true;
+    else if (a === '--in') out.in = Number(next());
+    else if (a === '--out') out.out = Number(next());
+    else if (a === '-h' || a === '--help') out.help = true;
+    else if (!out.file) out.file = a;
+  }
+  return out;
+}
+
+function usage() {
+  console.log('Usage: npm run replay -- <take.json|take.mid> [--url ws://host:port] [--room name] [--token secret] [--speed 1] [--loop] [--in ms] [--out ms] [--origin url] [--claim]');
+}
+
+function loadTake(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.subarray(0, 4).toString('latin1') === 'MThd') return parseSMF(buf).events;
+  const obj = JSON.parse(buf.toString('utf8'));
+  if (!obj || !Array.isArray(obj.events)) throw new Error('not a recorder take (missing events[])');
+  return obj.events.map(e => ({ t: +e.t || 0, info: e.info })).filter(e => e.info);
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if (opts.help || !opts.file) { usage(); process.exit(opts.help ? 0 : 1); }
+if (!(opts.speed > 0)) { console.error('[replay] --speed must be > 0'); process.exit(1); }
+
+let events;
+try {
+  events = loadTake(opts.file)
+    .filter(e => e.t >= opts.in && e.t <= opts.out)
+    .sort((a, b) => a.t - b.t)
+    .map(e => ({ t: e.t - opts.in, info: e.info }));
+} catch (e) {
+  console.error('[replay] cannot load', opts.file, '-', e?.message || e);
+  process.exit(1);
+}
+if (!events.length) { console.error('[replay] nothing to play in the selected range'); process.exit(1); }
+
+// Loop length: to --out if given, else to the last event
+const spanMs = Number.isFinite(opts.out) ? opts.out - opts.in : events[events.length - 1].t;
+
+const u = new URL(opts.url);
+u.searchParams.set('role', 'host');
+u.searchParams.set('room', opts.room);
+if (opts.token) u.searchParams.set('token', opts.token);
+
+let timer = null;
+let beat = null;
+let finished = false;
+let sent = 0;
+let playing = false;
+let claimed = false;
+
+const ws = new WebSocket(u.toString(), { headers: { origin: opts.origin } });
+
+function send(obj) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj));
+}
+
+// Drift-free scheduler: each pass sends everything due relative to the pass start
+function playPass(pass) {
+  const startedAt = performance.now();
+  let idx = 0;
+  console.log(`[replay] pass ${pass}: ${events.length} events, ${(spanMs / 1000).toFixed(1)}s at ${opts.speed}×`);
+
+  const step = () => {
+    const elapsed = (performance.now() - startedAt) * opts.speed;
+    while (idx < events.length && events[idx].t <= elapsed) {
+      send({ type: 'midi_like', payload: events[idx].info });
+      idx++; sent++;
+    }
+    if (idx < events.length) {
+      timer = setTimeout(step, Math.max(0, (events[idx].t - elapsed) / opts.speed));
+      return;
+    }
+    if (opts.loop) {
+      const rest = Math.max(0, (spanMs - elapsed) / opts.speed);
+      timer = setTimeout(() => playPass(pass + 1), rest);
+      return;
+    }
+    finished = true;
+    console.log(`[replay] done, ${sent} events sent`);
+    ws.close(1000, 'replay done');
+  };
+  step();
+}
+
+ws.on('open', () => {
+  console.log(`[replay] connected ${opts.url} room="${opts.room}"`);
+  send({ type: 'hello', role: 'host' });
+  send({ type: 'join', role: 'host', room: opts.room });
+  beat = setInterval(() => send({ type: 'host:beat' }), HOST_BEAT_MS);
+});
+
+function stop(message) {
+  console.error(message);
+  finished = true;
+  clearTimeout(timer);
+  ws.close(1000, 'replay stopped');
+  process.exitCode = 1;
+}
+
+// Host arbitration: play only while this socket is the room's primary host
+ws.on('message', (data) => {
+  let msg = null;
+  try { msg = JSON.parse(data); } catch { return; }
+  if (msg?.type !== 'host:active' || !msg.you || finished) return;
+  const primary = msg.active === msg.you;
+  if (primary && !playing) { playing = true; playPass(1); return; }
+  if (primary) return;
+  if (playing) return stop(`[replay] another host took over room "${opts.room}" (${msg.reason}); stopping`);
+  if (!opts.claim) return stop(`[replay] room "${opts.room}" already has an active host; its frames win. Pass --claim to take over`);
+  if (!claimed) { claimed = true; console.log('[replay] claiming the host role'); send({ type: 'host:claim' }); }
+});
+
+ws.on('close', (code, reason) => {
+  clearTimeout(timer);
+  clearInterval(beat);
+  if (code === CLOSE_UNAUTHORIZED) {
+    console.error('[replay] unauthorized: pass --token with the room host token');
+    process.exit(1);
+  }
+  if (!finished) {
+    console.error(`[replay] connection closed (${code} ${String(reason || '')})`);
+    process.exit(1);
+  }
+  process.exit(process.exitCode ?? 0);
+});
+
+ws.on('error', (err) => {
+  console.error('[replay] socket error:', err?.message || err);
+});
+
+process.on('SIGINT', () => {
+  console.log(`\n[replay] stopped, ${sent} events sent`);
+  finished = true;
+  clearTimeout(timer);
+  try { ws.close(1000, 'replay stopped'); } catch { process.exit(0); }
+});
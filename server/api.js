@@ -0,0 +1,112 @@
+// server/api.js
+// REST admin API for rooms, presence and maps (ESM). Mounted at /api by server.js.
+//
+//   GET    /api/rooms               -> [{ room, hosts, viewers, activeHost, key, entries, settings }]
+//   GET    /api/rooms/:room         -> same shape for one room
+//   GET    /api/rooms/:room/map     -> { room, key, map }
+//   PUT    /api/rooms/:room/map     -> body: [...] or { map:[...], key? } => { room, key, changed, viewers }
+//                                       (hosts and viewers get map:sync)
+//   PUT    /api/rooms/:room/settings -> body: { delayMs } => { room, settings } (sent to the room)
+//   DELETE /api/rooms/:room         -> closes the room's sockets, drops map + history
+//   POST   /api/rooms/:room/probe   -> runs a viewer probe and returns the probe:summary
+//
+// Access: with ADMIN_TOKEN set, requests need "Authorization: Bearer <ADMIN_TOKEN>".
+// Without it the API only answers loopback requests (scripts on the same machine).
+//
+// Example:
+//   curl -s localhost:8080/api/rooms
+//   curl -s -X PUT -H 'content-type: application/json' --data @learned_map.json localhost:8080/api/rooms/default/map
+
+import express from 'express';
+import crypto from 'node:crypto';
+
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+function tokenMatches(got, want) {
+  const a = Buffer.from(String(got));
+  const b = Buffer.from(String(want));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function createApiRouter({ rooms, setRoomMap, setRoomSettings, deleteRoom, runProbe, adminToken = '' }) {
+  const router = express.Router();
+
+  // Access guard
+  router.use((req, res, next) => {
+    if (adminToken) {
+      const m = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+      if (m && tokenMatches(m[1].trim(), adminToken)) return next();
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    if (LOOPBACK.has(req.socket?.remoteAddress)) return next();
+    return res.status(403).json({ error: 'set ADMIN_TOKEN to use the API remotely' });
+  });
+
+  router.use(express.json({ limit: '5mb' }));
+
+  function summary(name, r) {
+    return {
+      room: name,
+      hosts: r.hosts.size,
+      viewers: r.viewers.size,
+      activeHost: r.arbiter?.active ?? null,
+      key: r.lastKey,
+      entries: Array.isArray(r.lastMap) ? r.lastMap.length : 0,
+      settings: r.settings || {},
+    };
+  }
+
+  // 404 unless the room exists (never create rooms as a side effect of GET)
+  function withRoom(req, res) {
+    const r = rooms.get(req.params.room);
+    if (!r) res.status(404).json({ error: 'no such room', room: req.params.room });
+    return r;
+  }
+
+  router.get('/rooms', (_req, res) => {
+    res.json([...rooms].map(([name, r]) => summary(name, r)));
+  });
+
+  router.get('/rooms/:room', (req, res) => {
+    const r = withRoom(req, res); if (!r) return;
+    res.json(summary(req.params.room, r));
+  });
+
+  router.get('/rooms/:room/map', (req, res) => {
+    const r = withRoom(req, res); if (!r) return;
+    if (!Array.isArray(r.lastMap)) return res.status(404).json({ error: 'room has no map', room: req.params.room });
+    res.json({ room: req.params.room, key: r.lastKey, map: r.lastMap });
+  });
+
+  router.put('/rooms/:room/map', (req, res) => {
+    const body = req.body;
+    const map = Array.isArray(body) ? body : body?.map;
+    if (!Array.isArray(map)) return res.status(400).json({ error: 'expected a map array or { map: [...] }' });
+    const key = Array.isArray(body) ? undefined : body?.key;
+    const changed = setRoomMap(req.params.room, map, { key, sender: 'api', type: 'map:set', syncHosts: true });
+    const r = rooms.get(req.params.room);
+    res.json({ room: req.params.room, key: r.lastKey, changed, viewers: r.viewers.size });
+  });
+
+  router.put('/rooms/:room/settings', (req, res) => {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return res.status(400).json({ error: 'expected { delayMs }' });
+    res.json({ room: req.params.room, settings: setRoomSettings(req.params.room, body) });
+  });
+
+  router.delete('/rooms/:room', (req, res) => {
+    if (!withRoom(req, res)) return;
+    deleteRoom(req.params.room);
+    res.status(204).end();
+  });
+
+  router.post('/rooms/:room/probe', async (req, res) => {
+    if (!withRoom(req, res)) return;
+    const id = String(req.body?.id || Math.random().toString(36).slice(2, 9));
+    res.json(await runProbe(req.params.room, id));
+  });
+
+  return router;
+}
+
+export default { createApiRouter };
@@ -0,0 +1,88 @@
+// server/auth.js
+// Per-room access tokens for the WS relay (ESM).
+//
+// Token table (TOKENS_FILE, default ./data/room_tokens.json):
+//   { "<room>": { "host": "<secret>", "view": "<secret>" }, "*": { ... } }
+// - A room with a host token only accepts host sockets presenting it.
+// - A room with a view token only accepts viewers presenting it (host token also works).
+// - "*" applies to every room that has no entry of its own.
+// - Rooms without any token stay open (original behavior).
+// Env HOST_TOKEN / VIEW_TOKEN act as an extra "*" entry (handy on Fly secrets).
+//
+// The table is re-read when the file's mtime changes, so `npm run tokens -- issue ...`
+// takes effect without restarting the server.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+export const CLOSE_UNAUTHORIZED = 4401;
+
+export function loadTokens(file) {
+  try {
+    const j = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+    return (j && typeof j === 'object') ? j : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveTokens(file, table) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(table, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+export function generateToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// Constant-time compare (length leak only)
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  if (ab.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ab, bb);
+}
+
+export function createAuth({ file, env = process.env } = {}) {
+  let table = {};
+  let mtime = -1;
+
+  const envEntry = {};
+  if (env.HOST_TOKEN) envEntry.host = env.HOST_TOKEN;
+  if (env.VIEW_TOKEN) envEntry.view = env.VIEW_TOKEN;
+
+  function refresh() {
+    if (!file) return;
+    let m = 0;
+    try { m = fs.statSync(file).mtimeMs; } catch { m = 0; }
+    if (m === mtime) return;
+    mtime = m;
+    table = m ? loadTokens(file) : {};
+  }
+
+  function entryFor(room) {
+    refresh();
+    return table[room] || table['*'] || (Object.keys(envEntry).length ? envEntry : null);
+  }
+
+  // role: 'host' | 'viewer'; token may be empty
+  function check(room, role, token) {
+    const e = entryFor(room);
+    if (!e) return true;
+    const t = token || '';
+    if (role === 'host') return !e.host || (!!t && safeEqual(t, e.host));
+    if (!e.view) return true;
+    return !!t && (safeEqual(t, e.view) || (!!e.host && safeEqual(t, e.host)));
+  }
+
+  // true if the room requires any token at all (for logs)
+  function isProtected(room) {
+    const e = entryFor(room);
+    return !!(e && (e.host || e.view));
+  }
+
+  return { check, isProtected };
+}
+
+export default { createAuth, loadTokens, saveTokens, generateToken, CLOSE_UNAUTHORIZED };
@@ -0,0 +1,159 @@
+// server/hid-report.js
+// Data-driven HID input report parser (ESM). No node-hid import, so it runs in tests/tools.
+//
+// Layout (server/config.json → "report"):
+//   {
+//     "reportId": 1,                      // optional: ignore reports whose byte 0 differs
+//     "example": true,                    // optional: placeholder layout, not used by hid.js
+//     "fields": [
+//       { "name": "pad_L_1",    "kind": "button",  "byte": 2, "bit": 0,  "emit": { "type": "note", "ch": 8, "code": 0 } },
+//       { "name": "slider_ch1", "kind": "fader",   "byte": 5,            "emit": { "type": "cc",   "ch": 1, "code": 19 } },
+//       { "name": "xfader",     "kind": "fader",   "byte": 8, "bits": 14, "endian": "le", "emit": { "type": "cc", "ch": 7, "code": 31, "lsb": true } },
+//       { "name": "jog_L",      "kind": "jog",     "byte": 6,            "emit": { "type": "cc",   "ch": 1, "code": 33 } },
+//       { "name": "browse",     "kind": "encoder", "byte": 7, "bits": 4, "emit": { "type": "cc",   "ch": 7, "code": 64 } }
+//     ]
+//   }
+//
+// Byte offsets index the buffer exactly as node-hid delivers it (byte 0 is the report id
+// on devices with numbered reports).
+//
+// Field kinds:
+//   button   bit `bit` of `byte` (optional "invert") → noteon 127 / noteoff 0 (or cc 127/0)
+//   fader    unsigned 8-bit, or 14/16-bit across byte,byte+1 ("endian": "le"|"be"; "max"
+//            overrides the full-scale raw value) → cc 0..127; "lsb": true also sends the
+//            low 7 bits on code+32 like the controller's own 14-bit MIDI
+//   jog      signed delta per report (8-bit, or 16-bit with "bits": 16) → cc relative7
+//   encoder  wrapping absolute counter of "bits" (default 8, low bits of the byte) →
+//            delta between reports → cc relative7
+//
+// Events are emitted only when a field's value changes. The first report seeds state:
+// faders report their position, buttons only if already held, encoders just set a baseline.
+
+const KINDS = new Set(['button', 'fader', 'jog', 'encoder']);
+
+function relative7(delta) {
+  const d = Math.max(-63, Math.min(63, delta));
+  return d >= 0 ? d : 128 + d;
+}
+
+function readUnsigned(bytes, byte, bits, endian) {
+  if (bits <= 8) return bytes[byte] ?? 0;
+  const a = bytes[byte] ?? 0, b = bytes[byte + 1] ?? 0;
+  const v = endian === 'be' ? (a << 8) | b : (b << 8) | a;
+  return v & ((1 << bits) - 1);
+}
+
+function ccInfo(ch, code, value) {
+  return { type: 'cc', ch, controller: code, value, d1: code, d2: value };
+}
+
+function checkField(f, i) {
+  const where = `[hid-report] field ${i}${f?.name ? ` (${f.name})` : ''}`;
+  if (!f || !KINDS.has(f.kind)) throw new Error(`${where}: kind must be one of ${[...KINDS].join('/')}`);
+  if (!Number.isInteger(f.byte) || f.byte < 0) throw new Error(`${where}: byte must be a non-negative integer`);
+  if (f.kind === 'button' && !(Number.isInteger(f.bit) && f.bit >= 0 && f.bit < 8)) throw new Error(`${where}: bit must be 0..7`);
+  const e = f.emit;
+  if (!e || !['note', 'cc'].includes(e.type) || !Number.isInteger(e.ch) || !Number.isInteger(e.code)) {
+    throw new Error(`${where}: emit needs { type: 'note'|'cc', ch, code }`);
+  }
+  if (f.kind !== 'button' && e.type !== 'cc') throw new Error(`${where}: only buttons can emit notes`);
+}
+
+/**
+ * Build a stateful parser for one device's input reports.
+ * @param {{ reportId?:number, fields:Array<object> }} layout
+ * @returns {{ parse(buf:Uint8Array|Buffer): Array<object>, reset(): void, fields: Array<object> }}
+ */
+export function createReportParser(layout = {}) {
+  const fields = (layout.fields || []).map((f, i) => { checkField(f, i); return { ...f }; });
+  const reportId = layout.reportId ?? null;
+  let state = new Map(); // field index → last raw value
+
+  function parse(buf) {
+    const bytes = buf instanceof Uint8Array ? buf : Uint8Array.from(buf || []);
+    if (reportId != null && bytes[0] !== reportId) return [];
+    const out = [];
+
+    fields.forEach((f, i) => {
+      if (f.byte >= bytes.length) return; // short report: field not present
+      const { ch, code } = f.emit;
+      const prev = state.get(i);
+
+      if (f.kind === 'button') {
+        let down = ((bytes[f.byte] >> f.bit) & 1) === 1;
+        if (f.invert) down = !down;
+        state.set(i, down);
+        if (prev === down || (prev === undefined && !down)) return;
+        if (f.emit.type === 'note') {
+          out.push(down
+            ? { type: 'noteon', ch, d1: code, d2: 127, value: 127 }
+            : { type: 'noteoff', ch, d1: code, d2: 0, value: 0 });
+        } else {
+          out.push(ccInfo(ch, code, down ? 127 : 0));
+        }
+        return;
+      }
+
+      if (f.kind === 'fader') {
+        const bits = f.bits ?? 8;
+        const max = f.max ?? ((1 << bits) - 1);
+        const raw = Math.min(max, readUnsigned(bytes, f.byte, bits, f.endian));
+        const v14 = Math.round(raw / max * 16383);
+        const key = f.emit.lsb ? v14 : v14 >> 7;
+        state.set(i, key);
+        if (prev === key) return;
+        out.push(ccInfo(ch, code, v14 >> 7));
+        if (f.emit.lsb) out.push(ccInfo(ch, code + 32, v14 & 0x7F));
+        return;
+      }
+
+      if (f.kind === 'jog') {
+        const bits = f.bits === 16 ? 16 : 8;
+        const raw = readUnsigned(bytes, f.byte, bits, f.endian);
+        const delta = bits === 16 ? (raw << 16) >> 16 : (raw << 24) >> 24;
+        if (delta) out.push(ccInfo(ch, code, relative7(delta * (f.scale ?? 1))));
+        return;
+      }
+
+      // encoder
+      const bits = f.bits ?? 8;
+      const mod = 1 << bits;
+      const raw = readUnsigned(bytes, f.byte, bits, f.endian) & (mod - 1);
+      state.set(i, raw);
+      if (prev === undefined || prev === raw) return;
+      let delta = (raw - prev + mod) % mod;
+      if (delta >= mod / 2) delta -= mod;
+      out.push(ccInfo(ch, code, relative7(delta * (f.scale ?? 1))));
+    });
+
+    return out;
+  }
+
+  function reset() { state = new Map(); }
+
+  return { parse, reset, fields };
+}
+
+/**
+ * Byte/bit differences between two reports (for sniffing layouts).
+ * A byte missing from one side (length change) diffs against null.
+ * @returns {Array<{ byte:number, from:number|null, to:number|null, bits:Array<{ bit:number, to:0|1 }> }>}
+ */
+export function diffReports(prev, next) {
+  const a = prev || [], b = next || [];
+  const out = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const from = i < a.length ? a[i] : null;
+    const to = i < b.length ? b[i] : null;
+    if (from === to) continue;
+    const changed = (from ?? 0) ^ (to ?? 0);
+    const bits = [];
+    for (let bit = 0; bit < 8; bit++) {
+      if (changed & (1 << bit)) bits.push({ bit, to: ((to ?? 0) >> bit) & 1 });
+    }
+    out.push({ byte: i, from, to, bits });
+  }
+  return out;
+}
+
+export default { createReportParser, diffReports };
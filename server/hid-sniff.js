@@ -0,0 +1,151 @@
+// server/hid-sniff.js
+// HID report sniffer for building the "report" layout in server/config.json (ESM).
+//
+// Live (opens the device via server/hid.js, vendor/product from config.json or env):
+//   npm run hid-sniff
+//   npm run hid-sniff -- --record capture.ndjson
+// Offline (no device or node-hid needed):
+//   npm run hid-sniff -- --replay capture.ndjson [--realtime]
+//
+// Options:
+//   --ignore 1,9      bytes to leave out of diffs (counters, timestamps)
+//   --layout file     layout JSON ({ report:{...} } or the report block itself) used to
+//                     label changed bytes/bits; default server/config.json
+//
+// Each printed line is one changed byte between consecutive reports, e.g.
+//   +1.234s  byte 2  0x00 → 0x01  bit0↑            [pad_L_1]
+// Capture file: one JSON line per report { t: ms since start, hex: "01 00 ff …" };
+// bare hex lines are accepted too, so captures can be trimmed or written by hand.
+
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { diffReports, createReportParser } from './hid-report.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+  const out = { record: null, replay: null, realtime: false, ignore: new Set(), layout: path.join(__dirname, 'config.json') };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--record') out.record = argv[++i];
+    else if (a === '--replay') out.replay = argv[++i];
+    else if (a === '--realtime') out.realtime = true;
+    else if (a === '--layout') out.layout = argv[++i];
+    else if (a === '--ignore') String(argv[++i] || '').split(',').filter(Boolean).forEach(n => out.ignore.add(Number(n)));
+    else if (a === '-h' || a === '--help') out.help = true;
+  }
+  return out;
+}
+
+const hex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+const h2 = (v) => v == null ? '--' : '0x' + v.toString(16).padStart(2, '0');
+
+function loadLayout(file) {
+  try {
+    const j = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (j.report || j).fields ? createReportParser(j.report || j).fields : [];
+  } catch {
+    return [];
+  }
+}
+
+// Layout field names covering a byte (and bit, for buttons)
+function labelsFor(fields, byte, bits) {
+  const names = [];
+  for (const f of fields) {
+    const width = f.kind === 'button' ? 1 : ((f.bits ?? 8) > 8 ? 2 : 1);
+    if (byte < f.byte || byte >= f.byte + width) continue;
+    if (f.kind === 'button' && !bits.some(b => b.bit === f.bit)) continue;
+    names.push(f.name || `${f.kind}@${f.byte}`);
+  }
+  return names;
+}
+
+function createPrinter({ ignore, fields }) {
+  let prev = null;
+  return (t, bytes) => {
+    if (!prev) {
+      console.log(`${('+' + (t / 1000).toFixed(3) + 's').padStart(9)}  first report (${bytes.length} bytes): ${hex(bytes)}`);
+      prev = bytes;
+      return;
+    }
+    for (const d of diffReports(prev, bytes)) {
+      if (ignore.has(d.byte)) continue;
+      const bitStr = d.bits.map(b => `bit${b.bit}${b.to ? '↑' : '↓'}`).join(' ');
+      const labels = labelsFor(fields, d.byte, d.bits);
+      console.log(
+        `${('+' + (t / 1000).toFixed(3) + 's').padStart(9)}  byte ${String(d.byte).padEnd(3)} ${h2(d.from)} → ${h2(d.to)}  ` +
+        `${bitStr.padEnd(24)}${labels.length ? ' [' + labels.join(', ') + ']' : ''}`
+      );
+    }
+    prev = bytes;
+  };
+}
+
+function readCapture(file) {
+  const out = [];
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, n) => {
+    const s = line.trim();
+    if (!s || s.startsWith('#')) return;
+    let t = out.length ? out[out.length - 1].t : 0;
+    let h = s;
+    if (s.startsWith('{')) {
+      try { const j = JSON.parse(s); t = Number(j.t) || t; h = String(j.hex || ''); }
+      catch { console.warn(`[sniff] line ${n + 1}: bad JSON, skipped`); return; }
+    }
+    const bytes = Uint8Array.from(h.split(/[\s,]+/).filter(Boolean), x => parseInt(x, 16));
+    if (bytes.some(Number.isNaN)) { console.warn(`[sniff] line ${n + 1}: bad hex, skipped`); return; }
+    out.push({ t, bytes });
+  });
+  return out;
+}
+
+async function replay(opts, print) {
+  const reports = readCapture(opts.replay);
+  console.log(`[sniff] replaying ${reports.length} reports from ${opts.replay}`);
+  let last = 0;
+  for (const r of reports) {
+    if (opts.realtime && r.t > last) await new Promise(res => setTimeout(res, r.t - last));
+    last = r.t;
+    print(r.t, r.bytes);
+  }
+}
+
+async function live(opts, print) {
+  const { create } = await import('./hid.js'); // needs node-hid; offline mode never loads it
+  const hid = new EventEmitter(); // listeners go on before create() opens the device
+  const started = Date.now();
+  const rec = opts.record ? fs.createWriteStream(opts.record, { flags: 'w' }) : null;
+  if (rec) console.log(`[sniff] recording to ${opts.record}`);
+
+  hid.on('log', (m) => console.log('[HID]', m));
+  hid.on('error', (e) => { console.error('[HID] error:', e?.message || e); process.exitCode = 1; });
+  hid.on('report', (buf) => {
+    const t = Date.now() - started;
+    const bytes = Uint8Array.from(buf);
+    rec?.write(JSON.stringify({ t, hex: hex(bytes) }) + '\n');
+    print(t, bytes);
+  });
+  hid.on('info', (info) => console.log('          → info', JSON.stringify(info)));
+  create({ enabled: true, bus: hid });
+
+  process.on('SIGINT', () => {
+    if (rec) rec.end(() => { console.log(`\n[sniff] saved ${opts.record}`); process.exit(0); });
+    else process.exit(0);
+  });
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if (opts.help) {
+  console.log('Usage: npm run hid-sniff -- [--record file] | --replay file [--realtime]  [--ignore 1,9] [--layout file]');
+  process.exit(0);
+}
+const print = createPrinter({ ignore: opts.ignore, fields: loadLayout(opts.layout) });
+
+if (opts.replay) {
+  replay(opts, print).catch((e) => { console.error('[sniff]', e?.message || e); process.exit(1); });
+} else {
+  live(opts, print).catch((e) => { console.error('[sniff]', e?.message || e); process.exit(1); });
+}
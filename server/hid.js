@@ -1,27 +1,30 @@
 // server/hid.js
 // Minimal HID -> "info" events (noteon/noteoff/cc) over EventEmitter.
-// Customize the report parsing to your controller's HID layout. (ESM version)
+// Report parsing is declared in server/config.json "report" (see server/hid-report.js). (ESM version)
+// HID_CONFIG points at another config file (same shape).
 
 import { EventEmitter } from 'node:events';
 import HID from 'node-hid';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { createReportParser } from './hid-report.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
 
 function loadConfig() {
-  const p  = path.join(__dirname, 'config.json');
+  const p  = process.env.HID_CONFIG || path.join(__dirname, 'config.json');
   const ex = path.join(__dirname, 'config.example.json');
   if (fs.existsSync(p))  return JSON.parse(fs.readFileSync(p, 'utf-8'));
   if (fs.existsSync(ex)) return JSON.parse(fs.readFileSync(ex, 'utf-8'));
   return {};
 }
 
+// opts.bus: emitter to use, so callers can listen before the device is opened
+// (open errors and logs are emitted synchronously)
 export function create(opts = {}) {
-  const bus = new EventEmitter();
-  const { enabled = true } = opts;
+  const { enabled = true, bus = new EventEmitter() } = opts;
   if (!enabled) return bus;
 
   const cfg = loadConfig();
@@ -35,35 +38,19 @@ export function create(opts = {}) {
       return bus;
     }
 
+    // The shipped layout is an unverified example; it only parses once replaced by a sniffed one
+    const example = !!cfg.report?.example;
+    const parser = createReportParser(example ? {} : (cfg.report || {}));
+    if (example) bus.emit('log', 'HID report layout in server/config.json is an example (no events); capture yours with server/hid-sniff.js and remove "example".');
+    else if (!parser.fields.length) bus.emit('log', 'HID report layout has no fields; add "report" to server/config.json.');
+
     const device = new HID.HID(vendorId, productId);
-    bus.emit('log', `HID opened: 0x${vendorId.toString(16)} / 0x${productId.toString(16)}`);
+    bus.emit('log', `HID opened: 0x${vendorId.toString(16)} / 0x${productId.toString(16)} (${parser.fields.length} fields)`);
 
+    // Only changed fields produce events; raw reports go out as 'report' (used by hid-sniff)
     device.on('data', (buf) => {
-      const bytes = new Uint8Array(buf);
-      const reportId = bytes[0];
-
-      // --- BEGIN: EXAMPLE PARSING (replace with your real offsets) ---
-      // Example button: byte 2 bit 0 = pad L1
-      const b2 = bytes[2] ?? 0;
-      const padL1Down = (b2 & 0b00000001) !== 0;
-      bus.emit('info', {
-        type: padL1Down ? 'noteon' : 'noteoff',
-        ch: 1, d1: 36, d2: padL1Down ? 127 : 0,
-        value: padL1Down ? 127 : 0
-      });
-
-      // Example fader: byte 5 = 0..127
-      const fader = Math.min(127, bytes[5] ?? 0);
-      bus.emit('info', { type:'cc', ch:1, controller:7, value:fader, d1:7, d2:fader });
-
-      // Example jog: byte 6 = delta (signed)
-      const delta = (bytes[6] << 24) >> 24; // signed 8-bit
-      if (delta) {
-        // Map to a CC just so visuals react (choose a dedicated CC number)
-        const v = Math.max(0, Math.min(127, 64 + delta));
-        bus.emit('info', { type:'cc', ch:1, controller:96, value:v, d1:96, d2:v });
-      }
-      // --- END: EXAMPLE PARSING ---
+      bus.emit('report', buf);
+      for (const info of parser.parse(buf)) bus.emit('info', info);
     });
 
     device.on('error', (err) => bus.emit('error', err));
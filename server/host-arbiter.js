@@ -0,0 +1,96 @@
+// server/host-arbiter.js
+// Which host in a room is live (ESM). Rooms accept any number of hosts, but only the active
+// (primary) one may change the map, room settings or LEDs or relay MIDI; the others stand by
+// and one of them takes over when the primary disconnects or stops heartbeating — e.g. a
+// backup laptop at the booth.
+//
+//   const arb = createHostArbiter({ staleMs: 5000 });
+//   arb.add(id)       first host in an empty room becomes primary
+//   arb.beat(id, { explicit })   any host frame / pong; explicit for {type:'host:beat'}
+//   arb.claim(id)     take over (operator action, always granted)
+//   arb.release(id)   hand off to the next live standby (kept when there is none)
+//   arb.remove(id)    disconnect; a standby is promoted
+//   arb.check()       promotes a standby when the primary went stale
+//   arb.state() → { active, standby: [ids] }
+// Changing calls return the reason ('join' | 'claim' | 'release' | 'disconnect' | 'stale'),
+// otherwise null. Only hosts that have sent an explicit beat can go stale; older clients
+// (public/index.html, bin/replay.js) never do and are replaced only when they disconnect.
+// Standbys are tried in join order.
+
+export function createHostArbiter({ staleMs = 5000, now = Date.now } = {}) {
+  const hosts = new Map(); // id → { seen, beating } in join order
+  let active = null;
+
+  function isStale(id) {
+    const h = hosts.get(id);
+    return !!h && h.beating && now() - h.seen > staleMs;
+  }
+
+  // First live host other than `exclude`; any remaining host when none is live
+  function next(exclude) {
+    const ids = [...hosts.keys()].filter(id => id !== exclude);
+    return ids.find(id => !isStale(id)) ?? ids[0] ?? null;
+  }
+
+  function add(id) {
+    if (!hosts.has(id)) hosts.set(id, { seen: now(), beating: false });
+    if (active) return null;
+    active = id;
+    return 'join';
+  }
+
+  function beat(id, { explicit = false } = {}) {
+    const h = hosts.get(id);
+    if (!h) return;
+    h.seen = now();
+    if (explicit) h.beating = true;
+  }
+
+  function claim(id) {
+    if (!hosts.has(id) || active === id) return null;
+    active = id;
+    return 'claim';
+  }
+
+  function release(id) {
+    if (active !== id) return null;
+    const to = next(id);
+    if (!to || isStale(to)) return null;
+    // the releasing host goes to the back of the standby line
+    const h = hosts.get(id);
+    hosts.delete(id);
+    hosts.set(id, h);
+    active = to;
+    return 'release';
+  }
+
+  function remove(id) {
+    if (!hosts.delete(id)) return null;
+    if (active !== id) return null;
+    active = next(null);
+    return 'disconnect';
+  }
+
+  function check() {
+    if (!active || !isStale(active)) return null;
+    const to = next(active);
+    if (!to || isStale(to)) return null;
+    active = to;
+    return 'stale';
+  }
+
+  return {
+    add,
+    beat,
+    claim,
+    release,
+    remove,
+    check,
+    isActive: (id) => active === id,
+    state: () => ({ active, standby: [...hosts.keys()].filter(id => id !== active) }),
+    get active() { return active; },
+    get size() { return hosts.size; },
+  };
+}
+
+export default { createHostArbiter };
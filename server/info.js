@@ -0,0 +1,99 @@
+// server/info.js
+// Server-side view of the "info" shape the browser uses (ESM).
+// Unwraps the envelopes that reach the relay and returns a flat
+// { type, ch, d1, d2, value, controller? } or null for non-MIDI frames.
+// Paired 14-bit CCs (src/cc14.js) keep lsb / value14 / norm / hires; a `device` tag
+// (src/devices.js) and the host's `feel` result (src/feel-routes.js) are carried through.
+// Types and shapes follow src/midi-decode.js (pitch, aftertouch, polyaftertouch,
+// program, sysex included); fromEasymidi() converts the Node bridge's events.
+//
+// Accepted inputs (possibly nested):
+//   { type:'midi_like'|'info', payload:{...} }
+//   { type:'midi', mtype:'noteon'|'noteoff'|'cc', ch, d1|code|controller, d2|value }
+//   bare { type:'cc'|'noteon'|'noteoff'|'pitch'|…, ch, ... }
+
+import { MIDI_TYPES as TYPES } from '../src/midi-decode.js';
+
+const MIDI_TYPES = new Set(TYPES);
+
+export function normalizeInfo(msg) {
+  const x = unwrap(msg);
+  if (!x || typeof x !== 'object') return null;
+  const out = shapeInfo(x);
+  if (out && x.device) out.device = String(x.device); // src/devices.js namespace
+  if (out && x.feel && typeof x.feel === 'object') out.feel = x.feel; // curved value for late joiners
+  return out;
+}
+
+// unwrap envelopes (host relay may nest {info:{midi_like:{...}}})
+function unwrap(msg) {
+  let x = msg;
+  for (let i = 0; i < 3 && x && typeof x === 'object'; i++) {
+    const t = String(x.type || '').toLowerCase();
+    if ((t === 'midi_like' || t === 'info') && x.payload && typeof x.payload === 'object') { x = x.payload; continue; }
+    break;
+  }
+  return x;
+}
+
+function shapeInfo(x) {
+  let type = String(x.type || '').toLowerCase();
+  if (type === 'midi') type = String(x.mtype || '').toLowerCase();
+  if (!MIDI_TYPES.has(type)) return null;
+
+  const ch = Number(x.ch ?? x.channel ?? 1);
+  if (type === 'cc') {
+    const d1 = Number(x.controller ?? x.d1 ?? x.code ?? 0);
+    const d2 = Number(x.value ?? x.d2 ?? 0);
+    const out = { type, ch, controller: d1, value: d2, d1, d2 };
+    if (x.value14 != null) Object.assign(out, { lsb: Number(x.lsb ?? 0), value14: Number(x.value14), norm: Number(x.value14) / 16383, hires: true });
+    return out;
+  }
+  if (type === 'pitch') {
+    const value = Number(x.value ?? (x.value14 != null ? x.value14 - 8192 : 0));
+    return { type, ch, value, value14: Number(x.value14 ?? value + 8192) };
+  }
+  if (type === 'aftertouch') {
+    return { type, ch, value: Number(x.value ?? x.pressure ?? x.d1 ?? 0) };
+  }
+  if (type === 'program') {
+    const d1 = Number(x.d1 ?? x.number ?? x.program ?? x.value ?? 0);
+    return { type, ch, d1, value: d1 };
+  }
+  if (type === 'sysex') {
+    const bytes = Array.isArray(x.bytes) ? x.bytes.map(Number) : [];
+    return { type, ch: 0, d1: Number(x.d1 ?? bytes[1] ?? 0), bytes };
+  }
+  if (type === 'polyaftertouch') {
+    const d1 = Number(x.d1 ?? x.note ?? 0);
+    const d2 = Number(x.d2 ?? x.pressure ?? x.value ?? 0);
+    return { type, ch, d1, d2, value: d2 };
+  }
+  const d1 = Number(x.d1 ?? x.note ?? x.code ?? 0);
+  const d2 = Number(x.d2 ?? x.velocity ?? x.value ?? 0);
+  return { type, ch, d1, d2, value: d2 };
+}
+
+// easymidi event name + payload → info (channels 0–15 → 1–16, pitch 0..16383 → ±8192)
+export function fromEasymidi(event, d) {
+  const ch = typeof d?.channel === 'number' ? d.channel + 1 : (d?.ch ?? 1);
+  switch (event) {
+    case 'noteon':
+    case 'noteoff':          return { type: event, ch, d1: d.note, d2: d.velocity, value: d.velocity };
+    case 'cc':               return { type: 'cc', ch, controller: d.controller, value: d.value, d1: d.controller, d2: d.value };
+    case 'pitch':            return { type: 'pitch', ch, value: d.value - 8192, value14: d.value };
+    case 'channel aftertouch': return { type: 'aftertouch', ch, value: d.pressure };
+    case 'poly aftertouch':  return { type: 'polyaftertouch', ch, d1: d.note, d2: d.pressure, value: d.pressure };
+    case 'program':          return { type: 'program', ch, d1: d.number, value: d.number };
+    case 'sysex':            return { type: 'sysex', ch: 0, d1: d.bytes?.[1] ?? 0, bytes: Array.from(d.bytes || []) };
+    default:                 return null;
+  }
+}
+
+// Event names to subscribe on an easymidi.Input (sysex is opt-in)
+export function easymidiEvents({ sysex = false } = {}) {
+  const names = ['noteon', 'noteoff', 'cc', 'pitch', 'channel aftertouch', 'poly aftertouch', 'program'];
+  return sysex ? [...names, 'sysex'] : names;
+}
+
+export default { normalizeInfo, fromEasymidi, easymidiEvents };
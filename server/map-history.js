@@ -0,0 +1,107 @@
+// server/map-history.js
+// Versioned history of room maps (ESM).
+//
+// Every accepted map:set / map:ensure / map:revert is appended as one NDJSON line to
+// MAP_HISTORY_FILE: { room, key, ts, sender, type, map, from? }. On boot it is replayed to
+// rebuild the last `limit` versions per room so a host can list them and roll back to an
+// earlier key. Only those versions are retained on disk too: when `limit` trimmed lines have
+// piled up (or a room is dropped) the file is rewritten from memory via a temp file + rename.
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+
+export function createMapHistory({ file, limit = 50 } = {}) {
+  // roomName -> [{ key, ts, sender, type, map, from? }] (oldest first)
+  const byRoom = new Map();
+  let writeChain = Promise.resolve();
+  let lines = 0; // lines in the file since it was last rewritten
+
+  function push(room, entry) {
+    if (!byRoom.has(room)) byRoom.set(room, []);
+    const list = byRoom.get(room);
+    list.push(entry);
+    if (list.length > limit) list.splice(0, list.length - limit);
+  }
+
+  const retained = () => [...byRoom.values()].reduce((n, l) => n + l.length, 0);
+
+  function enqueue(step) {
+    writeChain = writeChain
+      .then(() => fsp.mkdir(path.dirname(file), { recursive: true }))
+      .then(step)
+      .catch(e => console.warn('[MAP] history write failed', e?.message || e));
+    return writeChain;
+  }
+
+  // Rewrite the file with exactly what is retained in memory
+  function compact() {
+    if (!file) return Promise.resolve();
+    const body = [...byRoom].flatMap(([room, l]) => l.map(e => JSON.stringify({ room, ...e }) + '\n')).join('');
+    lines = retained();
+    return enqueue(async () => {
+      const tmp = `${file}.tmp`;
+      await fsp.writeFile(tmp, body, 'utf8');
+      await fsp.rename(tmp, file);
+    });
+  }
+
+  async function load() {
+    if (!file || !fs.existsSync(file)) return 0;
+    const txt = await fsp.readFile(file, 'utf8');
+    let n = 0;
+    for (const line of txt.split('\n')) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        const e = JSON.parse(line);
+        if (!e || !e.room || !e.key || !Array.isArray(e.map)) continue;
+        const { room, ...rest } = e;
+        push(room, rest);
+        n++;
+      } catch { /* skip torn line (crash mid-append) */ }
+    }
+    if (lines > retained()) await compact();
+    return n;
+  }
+
+  // Append a version; returns the stored entry
+  function append(room, { key, map, sender = null, type = 'map:set', from } = {}) {
+    const entry = { key, ts: Date.now(), sender, type, map };
+    if (from) entry.from = from;
+    push(room, entry);
+    if (file) {
+      const line = JSON.stringify({ room, ...entry }) + '\n';
+      // serialize writes so lines never interleave; rewrite once trimmed versions pile up
+      if (++lines > retained() + limit) compact();
+      else enqueue(() => fsp.appendFile(file, line, 'utf8'));
+    }
+    return entry;
+  }
+
+  // Summaries (no map bodies), newest first
+  function list(room) {
+    return (byRoom.get(room) || []).map(({ map, ...meta }) => ({ ...meta, entries: map.length })).reverse();
+  }
+
+  // Most recent map stored under `key`
+  function find(room, key) {
+    const l = byRoom.get(room) || [];
+    for (let i = l.length - 1; i >= 0; i--) if (l[i].key === key) return l[i].map;
+    return null;
+  }
+
+  // Forget a room, on disk too (it would come back on the next boot otherwise)
+  function drop(room) {
+    if (!byRoom.delete(room)) return false;
+    compact();
+    return true;
+  }
+
+  // Resolves once pending file writes have landed
+  function flush() { return writeChain; }
+
+  return { load, append, list, find, drop, flush };
+}
+
+export default { createMapHistory };
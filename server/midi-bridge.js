@@ -4,11 +4,12 @@
 
 import { EventEmitter } from 'node:events';
 import easymidiCjs from 'easymidi';
+import { fromEasymidi, easymidiEvents } from './info.js';
 
 // Handle CJS interop for easymidi
 const easymidi = easymidiCjs?.default ?? easymidiCjs;
 
-export function create({ enabled = true, inputName = 'IAC Driver HID Bridge' } = {}) {
+export function create({ enabled = true, inputName = 'IAC Driver HID Bridge', sysex = false } = {}) {
   const bus = new EventEmitter();
   if (!enabled) return bus;
 
@@ -21,11 +22,10 @@ export function create({ enabled = true, inputName = 'IAC Driver HID Bridge' } =
   const input = new easymidi.Input(inputName);
   bus.emit('log', `MIDI listening on "${inputName}"`);
 
-  input.on('noteon',  (m) => bus.emit('info', { type:'noteon',  ch:m.channel+1, d1:m.note, d2:m.velocity, value:m.velocity }));
-  input.on('noteoff', (m) => bus.emit('info', { type:'noteoff', ch:m.channel+1, d1:m.note, d2:m.velocity, value:m.velocity }));
-  // FIXED: the CC mapping line was broken; restored correct fields:
-  input.on('cc',      (m) => bus.emit('info', { type:'cc',      ch:m.channel+1, controller:m.controller, value:m.value, d1:m.controller, d2:m.value }));
-  input.on('pitch',   (m) => bus.emit('info', { type:'pitch',   ch:m.channel+1, value:m.value }));
+  // All channel types (+ sysex when asked) in the browser's info shapes
+  for (const ev of easymidiEvents({ sysex })) {
+    input.on(ev, (m) => { const info = fromEasymidi(ev, m); if (info) bus.emit('info', info); });
+  }
 
   input.on('error', (e) => bus.emit('error', e));
 
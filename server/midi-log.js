@@ -0,0 +1,97 @@
+// server/midi-log.js
+// Per-room rotating NDJSON log of MIDI traffic (ESM).
+//
+// Layout: <dir>/<room>/<room>-<startISO>.ndjson   (active segment)
+//         <dir>/<room>/<room>-<startISO>.ndjson.gz (rotated segments)
+// Each line: { ts, room, sender, info } with ts = server Date.now() and info normalized
+// by server/info.js, so a segment can be replayed or loaded into the recorder.
+//
+// A segment rotates when it passes maxBytes or gets older than maxAgeMs; the closed
+// segment is gzipped in the background and the plain file removed.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { pipeline } from 'node:stream/promises';
+
+function safeName(s) {
+  return String(s || 'default').replace(/[^\w.-]+/g, '_').slice(0, 64) || 'default';
+}
+
+export function createMidiLog({
+  dir,
+  maxBytes = 16 * 1024 * 1024,
+  maxAgeMs = 60 * 60 * 1000,
+  gzip = true,
+} = {}) {
+  // room -> { stream, file, bytes, openedAt }
+  const segments = new Map();
+
+  function open(room) {
+    const roomDir = path.join(dir, safeName(room));
+    fs.mkdirSync(roomDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let file = path.join(roomDir, `${safeName(room)}-${stamp}.ndjson`);
+    for (let n = 1; fs.existsSync(file) || fs.existsSync(file + '.gz'); n++) {
+      file = path.join(roomDir, `${safeName(room)}-${stamp}-${n}.ndjson`);
+    }
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', (e) => console.warn('[MIDILOG] write failed', file, e?.message || e));
+    const seg = { stream, file, bytes: 0, openedAt: Date.now() };
+    segments.set(room, seg);
+    return seg;
+  }
+
+  async function compress(file) {
+    try {
+      await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(file + '.gz'));
+      await fs.promises.unlink(file);
+    } catch (e) {
+      console.warn('[MIDILOG] gzip failed', file, e?.message || e);
+    }
+  }
+
+  function rotate(room) {
+    const seg = segments.get(room);
+    if (!seg) return;
+    segments.delete(room);
+    seg.stream.end(() => {
+      if (gzip && seg.bytes > 0) compress(seg.file);
+      else if (!seg.bytes) fs.promises.unlink(seg.file).catch(() => {});
+    });
+  }
+
+  function append(room, sender, info) {
+    if (!info) return;
+    const now = Date.now();
+    let seg = segments.get(room);
+    if (seg && (seg.bytes >= maxBytes || now - seg.openedAt >= maxAgeMs)) {
+      rotate(room);
+      seg = null;
+    }
+    if (!seg) seg = open(room);
+    const line = JSON.stringify({ ts: now, room, sender, info }) + '\n';
+    seg.bytes += Buffer.byteLength(line);
+    seg.stream.write(line);
+  }
+
+  // Time-based rotation for rooms that went quiet
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [room, seg] of segments) {
+      if (now - seg.openedAt >= maxAgeMs) rotate(room);
+    }
+  }, Math.min(maxAgeMs, 60 * 1000));
+  timer.unref?.();
+
+  // Shutdown: flush and close; segments stay uncompressed (still valid NDJSON)
+  function close() {
+    clearInterval(timer);
+    for (const seg of segments.values()) seg.stream.end();
+    segments.clear();
+  }
+
+  return { append, rotate, close };
+}
+
+export default { createMidiLog };
@@ -0,0 +1,82 @@
+// server/room-state.js
+// Live control state per room (ESM): where every fader / knob / crossfader sits, how far
+// each jog has turned and which notes are held, so a viewer that (re)connects mid-set
+// draws the true current board instead of everything at rest.
+//
+// Fed with normalized infos (server/info.js) from the room's 'midi' and host info relays;
+// keys are type:ch:code (src/mapper.js keyForInfo), prefixed device/ for device-tagged
+// infos so two controllers on the same channels keep separate entries.
+//   controls  cc / pitch / aftertouch / polyaftertouch → last info (resting values are dropped)
+//   notes     noteon key → info while held (noteoff / velocity 0 releases)
+//   jogs      cc key (device/cc:1:33 when tagged) → accumulated relative steps (two's complement, src/feel-routes.js);
+//             board.js turns steps into an angle with the platter's degPerStep
+// Program changes and SysEx are events, not state, and are not kept.
+//
+//   const state = createRoomState();
+//   state.update(info, { jog: jogKeys.has(key) });
+//   state.snapshot() → { controls: [info…], notes: [info…], jogs: { 'cc:1:33': steps } }
+
+import { keyForInfo } from '../src/mapper.js';
+import { relativeDelta } from '../src/feel-routes.js';
+
+// Map entries whose target is a jog platter (jog_L, jog_x5F_R …; touch sensors excluded)
+export function jogKeysOf(map) {
+  const keys = new Set();
+  for (const m of Array.isArray(map) ? map : []) {
+    const t = String(m?.target || '').replace(/_x5F_/g, '_');
+    if (!/^jog_/i.test(t) || /touch/i.test(t)) continue;
+    const k = m.key || (m.type ? `${String(m.type).toLowerCase()}:${m.ch}:${m.code}` : '');
+    if (k.startsWith('cc:')) keys.add(k);
+  }
+  return keys;
+}
+
+// Same key on two devices = two entries (as in board.js buildMapIndex)
+const stateKey = (info, key) => (info.device ? `${info.device}/${key}` : key);
+
+export function createRoomState() {
+  const controls = new Map();
+  const notes = new Map();
+  const jogs = new Map();
+
+  function update(info, { jog = false } = {}) {
+    const type = String(info?.type || '').toLowerCase();
+    if (!type) return;
+    const key = stateKey(info, keyForInfo(info));
+
+    if (type === 'noteon' && Number(info.value ?? info.d2) > 0) { notes.set(key, info); return; }
+    if (type === 'noteon' || type === 'noteoff') { notes.delete(stateKey(info, `noteon:${info.ch}:${info.d1}`)); return; }
+
+    if (type === 'cc' && jog) {
+      jogs.set(key, (jogs.get(key) || 0) + relativeDelta(info.value));
+      return;
+    }
+    if (type === 'cc' || type === 'pitch' || type === 'aftertouch' || type === 'polyaftertouch') {
+      const resting = type === 'pitch' ? Number(info.value) === 0 : (type !== 'cc' && !(Number(info.value) > 0));
+      if (resting) controls.delete(key); else controls.set(key, info);
+    }
+  }
+
+  function snapshot() {
+    return {
+      controls: [...controls.values()],
+      notes: [...notes.values()],
+      jogs: Object.fromEntries(jogs),
+    };
+  }
+
+  function clear() {
+    controls.clear();
+    notes.clear();
+    jogs.clear();
+  }
+
+  return {
+    update,
+    snapshot,
+    clear,
+    get size() { return controls.size + notes.size + jogs.size; },
+  };
+}
+
+export default { createRoomState, jogKeysOf };
@@ -0,0 +1,124 @@
+// server/send-queue.js
+// Per-socket outbound queue with backpressure (ESM).
+// Frames go straight to ws.send() while the socket keeps up; once ws.bufferedAmount passes
+// highWaterBytes they queue and drain as the socket empties, so a viewer on weak Wi-Fi gets
+// the current position instead of seconds of stale motion:
+//   mode 'latest'    continuous controls (cc / pitch / aftertouch): a queued frame for the
+//                    same key is replaced by the newer value
+//   mode 'sum'       relative jogs: queued steps add up (frame.rewrite(steps) re-encodes);
+//                    a sum past ±63 starts a new frame, so no motion is lost
+//   mode 'discrete'  notes, programs, everything else: always delivered, in order
+// Discrete frames are never dropped: past maxQueue the socket is closed (1013) instead and
+// the client reconnects into a fresh map:sync + state:snapshot (server/room-state.js).
+//
+//   const q = createSendQueue(ws, { highWaterBytes: 64 * 1024 });
+//   q.push({ data, key: 'cc:1:19', mode: 'latest' });
+//   q.lag() → { queued, bytes, ms, coalesced }
+
+export const CONTINUOUS_TYPES = new Set(['cc', 'pitch', 'aftertouch', 'polyaftertouch']);
+export const CLOSE_BACKLOG = 1013; // "try again later"
+
+const OPEN = 1; // WebSocket.OPEN
+
+// Signed steps → 7-bit two's complement (inverse of src/feel-routes.js relativeDelta)
+export function encodeRelative7(steps) {
+  const s = Math.max(-63, Math.min(63, Math.round(steps)));
+  return s < 0 ? 128 + s : s;
+}
+
+// Copy of a relayed message with the innermost MIDI value replaced (envelopes as in server/info.js)
+export function withValue(msg, value) {
+  const out = structuredClone(msg);
+  let x = out;
+  for (let i = 0; i < 3 && x.payload && typeof x.payload === 'object'; i++) x = x.payload;
+  x.value = value;
+  if ('d2' in x) x.d2 = value;
+  delete x.feel; // per-message feel result no longer matches the merged steps
+  return out;
+}
+
+export function createSendQueue(ws, {
+  highWaterBytes = 64 * 1024,
+  maxQueue = 2000,
+  pollMs = 16,
+  now = Date.now,
+} = {}) {
+  const queue = [];            // { data, key, mode, steps, rewrite, at }
+  const byKey = new Map();     // key → queued continuous frame
+  let timer = null;
+  let coalesced = 0;
+  let closed = false;
+
+  const congested = () => ws.bufferedAmount > highWaterBytes;
+
+  function write(data) {
+    try { ws.send(data); } catch {}
+  }
+
+  function merge(q, f) {
+    if (f.mode === 'latest') { q.data = f.data; return true; }
+    const steps = q.steps + f.steps;
+    if (Math.abs(steps) > 63) return false;
+    q.steps = steps;
+    q.data = q.rewrite(steps);
+    return true;
+  }
+
+  function push(frame) {
+    if (closed || ws.readyState !== OPEN) return;
+    if (!queue.length && !congested()) { write(frame.data); return; }
+
+    const continuous = frame.key && frame.mode !== 'discrete';
+    if (continuous) {
+      const q = byKey.get(frame.key);
+      if (q && q.mode === frame.mode && merge(q, frame)) { coalesced++; return; }
+    }
+    const e = { ...frame, at: now() };
+    queue.push(e);
+    if (continuous) byKey.set(e.key, e);
+    if (queue.length > maxQueue) {
+      console.warn(`[WS] send backlog ${queue.length} frames for id=${ws.id ?? 'n/a'}; closing`);
+      close();
+      try { ws.close(CLOSE_BACKLOG, 'backlog'); } catch {}
+      return;
+    }
+    schedule();
+  }
+
+  function schedule() {
+    if (!timer && !closed) timer = setTimeout(flush, pollMs);
+  }
+
+  function flush() {
+    timer = null;
+    if (closed) return;
+    if (ws.readyState !== OPEN) { close(); return; }
+    while (queue.length && !congested()) {
+      const e = queue.shift();
+      if (byKey.get(e.key) === e) byKey.delete(e.key);
+      write(e.data);
+    }
+    if (queue.length) schedule();
+  }
+
+  function lag() {
+    return {
+      queued: queue.length,
+      bytes: ws.bufferedAmount || 0,
+      ms: queue.length ? now() - queue[0].at : 0,
+      coalesced,
+    };
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(timer);
+    timer = null;
+    queue.length = 0;
+    byKey.clear();
+  }
+
+  return { push, flush, lag, close };
+}
+
+export default { createSendQueue, encodeRelative7, withValue, CONTINUOUS_TYPES, CLOSE_BACKLOG };
@@ -13,6 +13,66 @@
 //   - Stable key hashing for change detection (djb2 of canonical JSON)
 //   - Supports {type:'map:set'},{type:'map:ensure'},{type:'map:get'}
 //   - Sends {type:'map:sync', map, key} to viewers (raw, not wrapped)
+//
+// NEW: Per-room tokens (server/auth.js)
+//   - ?token=... (or {token} on hello/join) is checked before a socket may act as host
+//     or, if the room has a view token, as viewer
+//   - Rejected sockets are closed with 4401 'unauthorized' (clients stop retrying)
+//
+// NEW: Versioned map history (server/map-history.js)
+//   - Every applied map:set/map:ensure is appended to MAP_HISTORY_FILE (NDJSON), keeping the
+//     last MAP_HISTORY_LIMIT versions per room; deleted rooms are removed from the file
+//   - {type:'map:history', id?} => {type:'map:history', id, versions:[{key, ts, sender, type, entries}]}
+//   - Host {type:'map:revert', key} re-applies an older version and map:syncs the room
+//
+// NEW: REST admin API under /api/rooms (server/api.js), guarded by ADMIN_TOKEN
+//
+// NEW: Server-side MIDI log (server/midi-log.js), enabled by MIDI_LOG_DIR
+//   - Room 'midi' relays, host info relays and the Node HID/MIDI bridges are appended
+//     to per-room rotating NDJSON files: { ts, room, sender, info }
+//
+// NEW: 14-bit CC pairing on the easymidi bridge (src/cc14.js)
+//   - MSB/LSB pairs go out as one cc with value14/norm; MIDI_CC14=0 keeps raw 7-bit events
+//
+// NEW: Bridge relays pitch bend, channel/poly aftertouch, program change and (MIDI_SYSEX=1) SysEx
+//
+// NEW: LED feedback (src/led-feedback.js)
+//   - Host {type:'led', mtype:'noteon'|'cc', ch, code, value} is written to MIDI_OUTPUT
+//     (when set and present) and is not relayed to viewers
+//
+// NEW: Bridge infos carry `device` (src/devices.js registry id matched from MIDI_INPUT)
+//
+// NEW: Live control state per room (server/room-state.js)
+//   - 'midi' and host info relays update the room's last values, jog steps and held notes
+//     (active host only); the state is cleared when the room's last host leaves
+//   - Viewers get {type:'state:snapshot', controls, notes, jogs} right after map:sync on
+//     connect / join, so a reloaded OBS source shows where the controls actually are
+//
+// NEW: Backpressure per socket (server/send-queue.js)
+//   - Relayed frames queue once ws.bufferedAmount passes SEND_HIGH_WATER_KB; queued CCs keep
+//     only the latest value per key, jog steps add up, notes are never dropped
+//   - A socket with more than SEND_MAX_QUEUE queued frames is closed (1013) to resync
+//   - presence carries lag: [{ id, queued, bytes, ms, coalesced }] per viewer, re-sent every
+//     LAG_REPORT_MS while any viewer lags
+//
+// NEW: Clock sync + latency (src/clock.js)
+//   - Any socket {type:'clock:ping', t0} => {type:'clock:pong', t0, t1, t2} (NTP-style offset)
+//   - Probes carry the server's t0; viewers ack with t1/t2 and their latency/jitter stats for
+//     host-stamped infos, and probe:summary lists viewers: [{ id, rtt, offset, latency, jitter, delayMs }]
+//
+// NEW: Room settings (in memory, not persisted)
+//   - Host {type:'room:settings', settings:{ delayMs }} (or PUT /api/rooms/:room/settings) merges
+//     and sends {type:'room:settings', settings} to the room; sockets also get it on connect / join
+//   - delayMs: viewer stream delay (src/delay-buffer.js); a viewer's ?delay= overrides it
+//
+// NEW: Host arbitration (server/host-arbiter.js)
+//   - One active (primary) host per room; map writes, room:settings, led and MIDI relays from
+//     standby hosts are dropped
+//   - Hosts send {type:'host:beat'} (bootstrap-host.js, every second); a primary silent for
+//     HOST_STALE_MS, or one that disconnects, is replaced by the next live standby
+//   - Host {type:'host:claim'} takes over, {type:'host:release'} hands off to a standby
+//   - Everyone in the room gets {type:'host:active', active, standby:[ids], reason} on changes
+//     and on connect / join; hosts also get `you` (their own id)
 
 import path from 'path';
 import express from 'express';
@@ -21,7 +81,22 @@ import { WebSocketServer, WebSocket } from 'ws';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import fsp from 'fs/promises';
+import { EventEmitter } from 'events';
 import { create as createHID } from './hid.js';
+import { createAuth, CLOSE_UNAUTHORIZED } from './auth.js';
+import { createMapHistory } from './map-history.js';
+import { createApiRouter } from './api.js';
+import { createMidiLog } from './midi-log.js';
+import { normalizeInfo, fromEasymidi, easymidiEvents } from './info.js';
+import { createCC14Pairer } from '../src/cc14.js';
+import { deviceForName } from '../src/devices.js';
+import { createRoomState, jogKeysOf } from './room-state.js';
+import { keyForInfo } from '../src/mapper.js';
+import { relativeDelta } from '../src/feel-routes.js';
+import { createSendQueue, withValue, encodeRelative7, CONTINUOUS_TYPES } from './send-queue.js';
+import { ntpSample } from '../src/clock.js';
+import { clampDelay } from '../src/delay-buffer.js';
+import { createHostArbiter } from './host-arbiter.js';
 
 // ---- __filename / __dirname equivalents in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -32,10 +107,40 @@ const PORT        = Number(process.env.PORT || 8080);
 const HOST        = process.env.HOST || '0.0.0.0'; // bind to all interfaces
 const WSPORT_ENV  = process.env.WSPORT;            // preserve original env override
 const MIDI_INPUT  = process.env.MIDI_INPUT  || ''; // e.g., "DDJ-FLX6"
-const MIDI_OUTPUT = process.env.MIDI_OUTPUT || ''; // unused here, kept for future
+const MIDI_OUTPUT = process.env.MIDI_OUTPUT || ''; // LED feedback target, e.g. "DDJ-FLX6"
+const MIDI_CC14   = process.env.MIDI_CC14 !== '0';  // merge 14-bit MSB/LSB CC pairs (src/cc14.js)
+const MIDI_SYSEX  = process.env.MIDI_SYSEX === '1'; // also relay SysEx from the bridge input
+let midiOutput = null; // easymidi.Output for LED feedback; opened in the bridge section below
 
 // Map persistence (SOP)
 const MAP_FILE = process.env.MAP_FILE || './data/room_maps.json';
+const MAP_HISTORY_FILE  = process.env.MAP_HISTORY_FILE || './data/map_history.ndjson';
+const MAP_HISTORY_LIMIT = Number(process.env.MAP_HISTORY_LIMIT || 50); // versions kept per room
+
+// Per-room tokens (written by `npm run tokens`); rooms without tokens stay open
+const TOKENS_FILE = process.env.TOKENS_FILE || './data/room_tokens.json';
+const auth = createAuth({ file: TOKENS_FILE });
+
+// REST admin API bearer token (unset => loopback-only)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// MIDI event log (off unless MIDI_LOG_DIR is set). Bridge events have no room,
+// so they are logged under MIDI_LOG_BRIDGE_ROOM.
+const MIDI_LOG_DIR         = process.env.MIDI_LOG_DIR || '';
+const MIDI_LOG_MAX_MB      = Number(process.env.MIDI_LOG_MAX_MB || 16);
+const MIDI_LOG_MAX_MIN     = Number(process.env.MIDI_LOG_MAX_MIN || 60);
+const MIDI_LOG_BRIDGE_ROOM = process.env.MIDI_LOG_BRIDGE_ROOM || '_bridge';
+
+// How long a probe waits for viewer acks before summarizing
+const PROBE_WINDOW_MS = 800;
+
+// Outbound backpressure (server/send-queue.js)
+const SEND_HIGH_WATER_KB = Number(process.env.SEND_HIGH_WATER_KB || 64);
+const SEND_MAX_QUEUE     = Number(process.env.SEND_MAX_QUEUE || 2000);
+const LAG_REPORT_MS      = Number(process.env.LAG_REPORT_MS || 2000);
+
+// A primary host without a host:beat for this long hands over to a standby
+const HOST_STALE_MS = Number(process.env.HOST_STALE_MS || 5000);
 
 // Fly-friendly single port mode: attach WS to the HTTP server (no extra listener).
 // Activates only when explicitly enabled; preserves original behavior otherwise.
@@ -87,6 +192,9 @@ app.use('/assets', express.static(path.join(__dirname, '..', 'public', 'assets')
 app.use('/assets', express.static(path.join(__dirname, '..', 'src', 'assets')));
 app.use('/assets', express.static(path.join(__dirname, '..', 'assets')));
 
+// Serve /maps (feel profiles + per-device maps, see src/devices.js)
+app.use('/maps', express.static(path.join(__dirname, '..', 'maps')));
+
 // Health endpoints
 app.get('/healthz', (_req, res) => res.status(200).send('ok'));
 app.get('/health',  (_req, res) => res.status(200).send('ok'));
@@ -116,13 +224,35 @@ if (SINGLE_PORT) {
 // --- Global broadcast helper (original; used by HID/MIDI bridge)
 function broadcast(obj) {
   const msg = JSON.stringify(obj);
+  const info = normalizeInfo(obj);
   for (const client of wss.clients) {
-    if (client.readyState === WebSocket.OPEN) client.send(msg);
+    if (client.readyState === WebSocket.OPEN) {
+      queueSend(client, frameFor(msg, info, client.room, (v) => JSON.stringify(withValue(obj, v))));
+    }
   }
 }
 
+// Outbound frame for a socket's send queue: continuous controls coalesce per key,
+// relative jogs (room map jog targets or a host feel 'jog' result) sum their steps.
+// rewrite(value) re-serializes the frame with a new 7-bit value.
+function frameFor(data, info, roomName, rewrite) {
+  if (!info || !CONTINUOUS_TYPES.has(info.type)) return { data, mode: 'discrete' };
+  const k = keyForInfo(info);
+  const key = `${info.device || ''}/${k}`;
+  const r = roomName ? rooms.get(roomName) : null;
+  const jog = info.type === 'cc' && (r?.jogKeys.has(k) || info.feel?.kind === 'jog');
+  if (!jog) return { data, key, mode: 'latest' };
+  return { data, key, mode: 'sum', steps: relativeDelta(info.value), rewrite: (steps) => rewrite(encodeRelative7(steps)) };
+}
+
+function queueSend(ws, frame) {
+  if (ws.sendQueue) ws.sendQueue.push(frame);
+  else if (ws.readyState === WebSocket.OPEN) { try { ws.send(frame.data); } catch {} }
+}
+
 // === Rooms with presence + lastMap (+ lastKey) ==============================
-// roomName -> { hosts:Set<WebSocket>, viewers:Set<WebSocket>, lastMap:Array|null, lastKey:string|null }
+// roomName -> { hosts:Set<WebSocket>, viewers:Set<WebSocket>, lastMap:Array|null, lastKey:string|null,
+//               state: live control values (server/room-state.js), jogKeys: cc keys mapped to jogs }
 const rooms = new Map();
 
 function getRoom(roomName) {
@@ -132,11 +262,21 @@ function getRoom(roomName) {
       viewers: new Set(),
       lastMap: null,
       lastKey: null,
+      state:   createRoomState(),
+      jogKeys: new Set(),
+      lagging: false, // a viewer's send queue was backed up at the last lag report
+      settings: {},   // room:settings (delayMs)
+      arbiter: createHostArbiter({ staleMs: HOST_STALE_MS }),
     });
   }
   return rooms.get(roomName);
 }
 
+// Per-viewer send lag (server/send-queue.js)
+function viewerLag(r) {
+  return [...r.viewers].filter(v => v.sendQueue).map(v => ({ id: v.id, ...v.sendQueue.lag() }));
+}
+
 // Presence broadcast
 function broadcastPresence(roomName) {
   const r = getRoom(roomName);
@@ -144,17 +284,40 @@ function broadcastPresence(roomName) {
     type: 'presence',
     room: roomName,
     hosts: r.hosts.size,
-    viewers: r.viewers.size
+    viewers: r.viewers.size,
+    lag: viewerLag(r),
   });
   for (const s of [...r.hosts, ...r.viewers]) {
     try { if (s.readyState === WebSocket.OPEN) s.send(msg); } catch {}
   }
 }
 
+// Active host announcement (server/host-arbiter.js); hosts also learn their own id
+function hostActiveMsg(roomName, reason, ws) {
+  const r = getRoom(roomName);
+  const msg = { type: 'host:active', room: roomName, ...r.arbiter.state(), reason };
+  if (ws.role === 'host') msg.you = ws.id;
+  return msg;
+}
+
+function announceHosts(roomName, reason) {
+  const r = getRoom(roomName);
+  console.log(`[HOST] room="${roomName}" active=${r.arbiter.active ?? 'none'} (${reason})`);
+  for (const s of [...r.hosts, ...r.viewers]) send(s, hostActiveMsg(roomName, reason, s));
+}
+
+// Only the room's primary host writes or relays; standby hosts may watch and probe
+function isPrimaryHost(ws) {
+  const r = getRoom(ws.room);
+  return ws.role === 'host' && r.hosts.has(ws) && r.arbiter.isActive(ws.id);
+}
+
 // Keep viewer-scoped helper used by host → viewers info relay (unchanged wrapper)
-function broadcastToViewers_wrapped(room, payload, exceptWs) {
+// info: the normalized payload (null for non-MIDI frames) — picks the send-queue mode
+function broadcastToViewers_wrapped(room, payload, exceptWs, info = null) {
   // This preserves the original "wrap as {type:'info', payload}" behavior
   const msg = JSON.stringify({ type: 'info', payload, room });
+  const frame = frameFor(msg, info, room, (v) => JSON.stringify({ type: 'info', payload: withValue(payload, v), room }));
   for (const client of wss.clients) {
     if (
       client !== exceptWs &&
@@ -162,7 +325,7 @@ function broadcastToViewers_wrapped(room, payload, exceptWs) {
       client.room === room &&
       client.role === 'viewer'
     ) {
-      try { client.send(msg); } catch {}
+      queueSend(client, frame);
     }
   }
 }
@@ -187,6 +350,21 @@ function send(ws, obj) {
   try { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj)); } catch {}
 }
 
+// Token rejection: leave the room sets and close with a code clients recognize
+function rejectUnauthorized(ws, roomName, role) {
+  console.warn(`[AUTH] rejected id=${ws.id} room="${roomName}" role=${role}`);
+  const r = rooms.get(ws.room);
+  if (r) {
+    const wasIn = r.hosts.delete(ws) || r.viewers.delete(ws);
+    if (wasIn) broadcastPresence(ws.room);
+    const reason = r.arbiter.remove(ws.id);
+    if (reason) announceHosts(ws.room, reason);
+    resetStateIfHostless(ws.room);
+  }
+  ws.room = null;
+  try { ws.close(CLOSE_UNAUTHORIZED, 'unauthorized'); } catch {}
+}
+
 // === NEW (SOP): Map persistence helpers =====================================
 function keyOf(mapArr){
   // stable hash (djb2) of the canonical JSON
@@ -206,6 +384,7 @@ async function loadMapsFromDisk(){
         const r = getRoom(roomName);
         r.lastMap = arr;
         r.lastKey = keyOf(arr);
+        r.jogKeys = jogKeysOf(arr);
       }
     }
     console.log('[MAP] loaded rooms from disk:', loadedRooms);
@@ -235,12 +414,171 @@ function scheduleSave(){
   }, 200);
 }
 
+// === MIDI log ===============================================================
+const midiLog = MIDI_LOG_DIR
+  ? createMidiLog({
+      dir: MIDI_LOG_DIR,
+      maxBytes: MIDI_LOG_MAX_MB * 1024 * 1024,
+      maxAgeMs: MIDI_LOG_MAX_MIN * 60 * 1000,
+    })
+  : null;
+if (midiLog) console.log(`[MIDILOG] writing to ${MIDI_LOG_DIR} (rotate at ${MIDI_LOG_MAX_MB}MB / ${MIDI_LOG_MAX_MIN}min)`);
+
+// Append a relayed frame if it carries MIDI; anything else is ignored
+function logMidi(roomName, sender, msg) {
+  if (!midiLog) return;
+  const info = normalizeInfo(msg);
+  if (info) midiLog.append(roomName, sender, info);
+}
+
+// Relayed frame → MIDI log + the room's live control state; returns the info (or null)
+function recordRelay(roomName, sender, msg) {
+  const info = normalizeInfo(msg);
+  if (!info) return null;
+  if (midiLog) midiLog.append(roomName, sender, info);
+  const r = getRoom(roomName);
+  // only the active host's frames describe the board (server/host-arbiter.js)
+  if (r.arbiter.isActive(sender)) {
+    r.state.update(info, { jog: r.jogKeys.has(keyForInfo(info)) || info.feel?.kind === 'jog' });
+  }
+  return info;
+}
+
+// With no host left the live state is stale: the next host starts from rest. Jog keys are
+// re-derived from the room map (a later map:ensure with the same key would not rebuild them).
+function resetStateIfHostless(roomName) {
+  const r = rooms.get(roomName);
+  if (!r || r.hosts.size) return;
+  r.state.clear();
+  r.jogKeys = jogKeysOf(r.lastMap);
+}
+
+// Late joiners: current control values right after the map (viewers only; hosts own the state)
+function sendStateSnapshot(ws) {
+  const r = getRoom(ws.room);
+  if (ws.role !== 'viewer' || !r.state.size) return;
+  send(ws, { type: 'state:snapshot', room: ws.room, ts: Date.now(), ...r.state.snapshot() });
+}
+
+// Room settings: known keys only, values clamped; the merged settings go to everyone in the room
+function setRoomSettings(roomName, patch = {}) {
+  const r = getRoom(roomName);
+  if (patch && 'delayMs' in patch) r.settings.delayMs = clampDelay(patch.delayMs);
+  const msg = { type: 'room:settings', room: roomName, settings: r.settings };
+  for (const c of [...r.hosts, ...r.viewers]) send(c, msg);
+  return r.settings;
+}
+
+function sendRoomSettings(ws) {
+  const r = getRoom(ws.room);
+  if (!Object.keys(r.settings).length) return;
+  send(ws, { type: 'room:settings', room: ws.room, settings: r.settings });
+}
+
+// === Map history + single entry point for map changes =======================
+const mapHistory = createMapHistory({ file: MAP_HISTORY_FILE, limit: MAP_HISTORY_LIMIT });
+
+// Apply a map to a room if its key changed: history + viewer sync + persistence.
+// syncHosts: also map:sync the hosts, for changes that don't come from them (REST, revert);
+// otherwise their local copy re-pushes the old map on its next save.
+// Returns true when the room map actually changed.
+function setRoomMap(roomName, map, { key, sender = null, type = 'map:set', from, exceptWs, syncHosts = false } = {}) {
+  const r = getRoom(roomName);
+  const inKey = key || keyOf(map);
+  if (r.lastKey === inKey) return false;
+  r.lastMap = map;
+  r.lastKey = inKey;
+  r.jogKeys = jogKeysOf(map);
+  mapHistory.append(roomName, { key: inKey, map, sender, type, from });
+  // broadcast to viewers only (RAW, not wrapped)
+  const sync = { type:'map:sync', room: roomName, map: r.lastMap, key: r.lastKey };
+  if (from) sync.revertedFrom = from;
+  broadcastToViewers_raw(roomName, sync, exceptWs);
+  if (syncHosts) for (const h of r.hosts) send(h, sync);
+  scheduleSave(); // optional: persist to disk
+  console.log(`[MAP] ${type} room="${roomName}" entries=${map.length}`);
+  return true;
+}
+
+// Remove a room entirely: close its sockets, forget map + history, persist
+function deleteRoom(roomName) {
+  const r = rooms.get(roomName);
+  if (!r) return false;
+  for (const s of [...r.hosts, ...r.viewers]) {
+    s.room = null; // skip the close handler's presence update
+    try { s.close(1001, 'room deleted'); } catch {}
+  }
+  rooms.delete(roomName);
+  mapHistory.drop(roomName);
+  scheduleSave();
+  console.log(`[ROOM] deleted "${roomName}"`);
+  return true;
+}
+
 // === NEW (SOP): Probe collection state ======================================
-// Map key: `${room}:${probeId}` -> { acks:Set<string>, host:WebSocket }
+// Map key: `${room}:${probeId}` -> { t0, acks:Map<viewerId, ack> }
 const probeCollectors = new Map();
 
+// One viewer's row in probe:summary: clock offset / rtt from the probe's NTP timestamps,
+// latency + jitter percentiles as measured by the viewer (src/clock.js createLatencyStats)
+function probeRow(id, t0, ack) {
+  const t1 = Number(ack.t1), t2 = Number(ack.t2);
+  const clock = Number.isFinite(t1) && Number.isFinite(t2) ? ntpSample(t0, t1, t2, ack.t3) : null;
+  const { jitter = null, ...latency } = ack.latency || {};
+  return {
+    id,
+    rtt: clock ? clock.rtt : ack.t3 - t0,
+    offset: clock ? Math.round(clock.offset) : null, // viewer clock minus server clock
+    latency: ack.latency ? latency : null,
+    jitter,
+    delayMs: ack.delayMs ?? null, // stream delay the viewer applies (src/delay-buffer.js)
+  };
+}
+
+// Fan a probe out to the room's viewers; resolves with the probe:summary
+function runProbe(roomName, id) {
+  const r = getRoom(roomName);
+  const key = `${roomName}:${id}`;
+  const t0 = Date.now();
+  probeCollectors.set(key, { t0, acks: new Map() });
+
+  // Fan out to viewers in the room
+  for (const v of r.viewers) {
+    send(v, { type:'probe', id, room: roomName, t0 });
+  }
+
+  // After the window, summarize and clear
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      const done = probeCollectors.get(key);
+      probeCollectors.delete(key);
+      resolve({
+        type: 'probe:summary',
+        id,
+        room: roomName,
+        count: done ? done.acks.size : 0,
+        totalViewers: r.viewers.size,
+        viewers: done ? [...done.acks].map(([vid, ack]) => probeRow(vid, t0, ack)) : []
+      });
+    }, PROBE_WINDOW_MS);
+  });
+}
+
+// --- REST admin API ---------------------------------------------------------
+app.use('/api', createApiRouter({ rooms, setRoomMap, setRoomSettings, deleteRoom, runProbe, adminToken: ADMIN_TOKEN }));
+
 // --- Load persisted maps before accepting traffic ---------------------------
 await loadMapsFromDisk();
+try {
+  const n = await mapHistory.load();
+  if (n) console.log('[MAP] history versions loaded:', n);
+} catch (e) { console.warn('[MAP] history load failed:', e?.message || e); }
+// Seed history with maps that predate it so they can be reverted to as well
+for (const [roomName, r] of rooms) {
+  if (r.lastKey && !mapHistory.find(roomName, r.lastKey)) {
+    mapHistory.append(roomName, { key: r.lastKey, map: r.lastMap, sender: 'disk', type: 'map:load' });
+  }
+}
 
 // === WS connection handling ==================================================
 wss.on('connection', (ws, req) => {
@@ -261,22 +599,31 @@ wss.on('connection', (ws, req) => {
     }
   }
 
-  // Parse role/room from URL query (?role=host&room=default)
+  // Parse role/room/token from URL query (?role=host&room=default&token=...)
   try {
     const parsed = new URL(req.url, 'http://localhost');
-    ws.role = (parsed.searchParams.get('role') || 'viewer').toLowerCase();
-    ws.room = parsed.searchParams.get('room') || 'default';
+    ws.role  = (parsed.searchParams.get('role') || 'viewer').toLowerCase();
+    ws.room  = parsed.searchParams.get('room') || 'default';
+    ws.token = parsed.searchParams.get('token') || '';
   } catch {
-    ws.role = 'viewer';
-    ws.room = 'default';
+    ws.role  = 'viewer';
+    ws.room  = 'default';
+    ws.token = '';
   }
 
   // NEW: per-connection id (used for probe ack dedupe)
   ws.id = `c_${Math.random().toString(36).slice(2, 10)}`;
+  ws.sendQueue = createSendQueue(ws, { highWaterBytes: SEND_HIGH_WATER_KB * 1024, maxQueue: SEND_MAX_QUEUE });
+
+  // Token guard before the socket joins any room
+  if (!auth.check(ws.room, ws.role, ws.token)) {
+    rejectUnauthorized(ws, ws.room, ws.role);
+    return;
+  }
 
   // Heartbeat: mark alive and refresh on pong
   ws.isAlive = true;
-  ws.on('pong', () => { ws.isAlive = true; });
+  ws.on('pong', () => { ws.isAlive = true; if (ws.room) getRoom(ws.room).arbiter.beat(ws.id); });
 
   // Initial hello back (handshake)
   send(ws, { type: 'hello', ts: Date.now() });
@@ -284,6 +631,7 @@ wss.on('connection', (ws, req) => {
   // Place socket into room sets immediately (so presence + map:get works pre-join)
   const r0 = getRoom(ws.room);
   if (ws.role === 'host') r0.hosts.add(ws); else r0.viewers.add(ws);
+  const joined = ws.role === 'host' ? r0.arbiter.add(ws.id) : null;
 
   // Send presence snapshot
   send(ws, { type: 'presence', room: ws.room, hosts: r0.hosts.size, viewers: r0.viewers.size });
@@ -293,6 +641,9 @@ wss.on('connection', (ws, req) => {
     console.log(`[MAP] replay to new viewer id=${ws.id ?? 'n/a'} room="${ws.room}" entries=${r0.lastMap.length}`);
     send(ws, { type: 'map:sync', room: ws.room, map: r0.lastMap, key: r0.lastKey });
   }
+  sendRoomSettings(ws);
+  sendStateSnapshot(ws);
+  if (joined) announceHosts(ws.room, joined); else send(ws, hostActiveMsg(ws.room, 'connect', ws));
 
   // Notify room about updated presence
   broadcastPresence(ws.room);
@@ -300,23 +651,32 @@ wss.on('connection', (ws, req) => {
   ws.on('message', (buf) => {
     let msg = null;
     try { msg = JSON.parse(buf.toString()); } catch {}
-    if (!msg) return;
+    if (!msg || !ws.room) return; // ignore frames from rejected sockets
 
-    // Lightweight handshake support (kept)
-    if (msg.type === 'hello' && msg.role) {
-      ws.role = String(msg.role).toLowerCase();
-      return;
-    }
+    // A newer token on hello/join replaces the one from the URL
+    if ((msg.type === 'hello' || msg.type === 'join') && msg.token) ws.token = String(msg.token);
 
-    // Room join / role update
+    // Any host frame counts as a sign of life for arbitration
+    if (ws.role === 'host') getRoom(ws.room).arbiter.beat(ws.id, { explicit: msg.type === 'host:beat' });
+
+    // Room join / role update. A hello with a role is a role change in the current room and
+    // takes the same path, so room sets, presence and host arbitration stay in step.
     if (msg.type === 'join' || msg.type === 'hello') {
       const nextRole = msg.role ? String(msg.role).toLowerCase() : ws.role;
       const nextRoom = msg.room || ws.room || 'default';
+      if (!auth.check(nextRoom, nextRole, ws.token)) { rejectUnauthorized(ws, nextRoom, nextRole); return; }
+
+      const prevRoom = ws.room;
+      const prev = getRoom(prevRoom);
+      // a repeated join (every client sends one on open) must not cost the primary its place
+      const moved = prevRoom !== nextRoom || prev.hosts.has(ws) !== (nextRole === 'host');
+      // hello only announces the role; when nothing changes there is nothing to resync
+      if (msg.type === 'hello' && !moved) { ws.role = nextRole; return; }
 
       // Remove from old sets
-      const prev = getRoom(ws.room);
       prev.hosts.delete(ws);
       prev.viewers.delete(ws);
+      const left = moved ? prev.arbiter.remove(ws.id) : null;
 
       // Update role/room
       ws.role = nextRole;
@@ -325,6 +685,10 @@ wss.on('connection', (ws, req) => {
       // Add to new sets
       const r = getRoom(ws.room);
       if (ws.role === 'host') r.hosts.add(ws); else r.viewers.add(ws);
+      const joined = ws.role === 'host' ? r.arbiter.add(ws.id) : null;
+      if (left) announceHosts(prevRoom, left);
+      resetStateIfHostless(prevRoom);
+      if (prevRoom !== ws.room) broadcastPresence(prevRoom);
 
       // Send presence snapshot and broadcast
       send(ws, { type: 'presence', room: ws.room, hosts: r.hosts.size, viewers: r.viewers.size });
@@ -334,33 +698,80 @@ wss.on('connection', (ws, req) => {
       if (r.lastMap && Array.isArray(r.lastMap) && r.lastMap.length) {
         send(ws, { type: 'map:sync', room: ws.room, map: r.lastMap, key: r.lastKey });
       }
+      sendRoomSettings(ws);
+      sendStateSnapshot(ws);
+      if (joined) announceHosts(ws.room, joined); else send(ws, hostActiveMsg(ws.room, 'join', ws));
       return;
     }
 
     // App-level ping (protocol ping/pong preferred, kept for compatibility)
     if (msg.type === 'ping') { return; }
 
+    // === Host arbitration ====================================================
+    // {type:'host:beat'} (counted above), {type:'host:claim'}, {type:'host:release'}
+    if (msg.type === 'host:beat') { return; }
+    if (ws.role === 'host' && (msg.type === 'host:claim' || msg.type === 'host:release')) {
+      const r = getRoom(ws.room);
+      const reason = msg.type === 'host:claim' ? r.arbiter.claim(ws.id) : r.arbiter.release(ws.id);
+      if (reason) announceHosts(ws.room, reason); else send(ws, hostActiveMsg(ws.room, 'unchanged', ws));
+      return;
+    }
+
+    // Standby hosts: drop writes (map, settings, LEDs, MIDI relays); reads and probes still work.
+    // Map writes are answered with host:active so the page can show why nothing happened.
+    if (ws.role === 'host' && !isPrimaryHost(ws)) {
+      const reads = ['map:get', 'map:history', 'probe', 'clock:ping'];
+      if (msg.type === 'room:settings' && !msg.settings) reads.push('room:settings');
+      if (!reads.includes(msg.type)) {
+        if (/^map:|^room:/.test(msg.type || '')) send(ws, hostActiveMsg(ws.room, 'standby', ws));
+        return;
+      }
+    }
+
+    // Clock sync (src/clock.js): answer with receive/send times on the server clock
+    // {type:'clock:ping', t0} => {type:'clock:pong', t0, t1, t2}
+    if (msg.type === 'clock:ping' && Number.isFinite(msg.t0)) {
+      const t1 = Date.now();
+      send(ws, { type:'clock:pong', t0: msg.t0, t1, t2: Date.now() });
+      return;
+    }
+
     // === Map set/ensure/get/sync ============================================
     // Host sets/ensures map for room
     // {type:'map:set', map:[...], key?:string}
     // {type:'map:ensure', map:[...], key:string}
     if (ws.role === 'host' && (msg.type === 'map:set' || msg.type === 'map:ensure') && Array.isArray(msg.map)) {
       const r = getRoom(ws.room);
-      const inKey = msg.key || keyOf(msg.map);
       // Only update/broadcast if different
-      if (r.lastKey !== inKey) {
-        r.lastMap = msg.map;
-        r.lastKey = inKey;
-        // broadcast to viewers only (RAW, not wrapped)
-        broadcastToViewers_raw(ws.room, { type:'map:sync', room: ws.room, map: r.lastMap, key: r.lastKey }, ws);
-        scheduleSave(); // optional: persist to disk
-        console.log(`[MAP] ${msg.type} room="${ws.room}" entries=${msg.map.length}`);
-      }
+      setRoomMap(ws.room, msg.map, { key: msg.key, sender: ws.id, type: msg.type, exceptWs: ws });
       // ack back to host so you know the server saw it
       send(ws, { type:'map:ack', room: ws.room, key: r.lastKey, viewers: r.viewers.size });
       return;
     }
 
+    // List stored versions (newest first)
+    // {type:'map:history'}
+    if (msg.type === 'map:history') {
+      const r = getRoom(ws.room);
+      send(ws, { type:'map:history', id: msg.id, room: ws.room, current: r.lastKey, versions: mapHistory.list(ws.room) });
+      return;
+    }
+
+    // Host rolls the room back to an earlier version
+    // {type:'map:revert', key}
+    if (ws.role === 'host' && msg.type === 'map:revert' && msg.key) {
+      const r = getRoom(ws.room);
+      const map = mapHistory.find(ws.room, String(msg.key));
+      if (!map) {
+        send(ws, { type:'map:error', id: msg.id, room: ws.room, error:'unknown key', key: msg.key });
+        return;
+      }
+      const from = r.lastKey;
+      setRoomMap(ws.room, map, { key: String(msg.key), sender: ws.id, type: 'map:revert', from, syncHosts: true });
+      send(ws, { type:'map:ack', room: ws.room, key: r.lastKey, viewers: r.viewers.size });
+      return;
+    }
+
     // Anyone can ask server for current map
     // {type:'map:get'}
     if (msg.type === 'map:get' && ws.room) {
@@ -373,72 +784,79 @@ wss.on('connection', (ws, req) => {
       return;
     }
 
+    // Room settings: host merges {settings:{delayMs}}; without settings (any role) it is a get
+    // {type:'room:settings', settings?}
+    if (msg.type === 'room:settings') {
+      if (ws.role === 'host' && msg.settings && typeof msg.settings === 'object') {
+        setRoomSettings(ws.room, msg.settings);
+      } else {
+        send(ws, { type:'room:settings', room: ws.room, settings: getRoom(ws.room).settings });
+      }
+      return;
+    }
+
     // === NEW (SOP): Probe fan-out and summary ================================
     // host -> server: {type:'probe', id}
     if (ws.role === 'host' && msg.type === 'probe' && msg.id) {
-      const r = getRoom(ws.room);
-      const key = `${ws.room}:${msg.id}`;
-      const col = { acks: new Set(), host: ws };
-      probeCollectors.set(key, col);
-
-      // Fan out to viewers in the room
-      for (const v of r.viewers) {
-        send(v, { type:'probe', id: msg.id, room: ws.room });
-      }
-
-      // After 800ms, summarize back to the host and clear
-      setTimeout(() => {
-        const done = probeCollectors.get(key);
-        if (!done) return;
-        send(ws, {
-          type: 'probe:summary',
-          id: msg.id,
-          room: ws.room,
-          count: done.acks.size,
-          totalViewers: r.viewers.size
-        });
-        probeCollectors.delete(key);
-      }, 800);
+      runProbe(ws.room, msg.id).then((summary) => send(ws, summary));
       return;
     }
 
-    // viewer -> server: {type:'probe:ack', id, viewerId?}
+    // viewer -> server: {type:'probe:ack', id, t1?, t2?, latency?}
     if (ws.role === 'viewer' && msg.type === 'probe:ack' && msg.id) {
+      const t3 = Date.now();
       const key = `${ws.room}:${msg.id}`;
       const col = probeCollectors.get(key);
       if (col) {
         // Use ws.id if available; otherwise generate a short token
         const vid = ws.id || `v${Math.random().toString(36).slice(2,7)}`;
-        col.acks.add(vid);
+        const latency = msg.latency && typeof msg.latency === 'object' ? msg.latency : null;
+        col.acks.set(vid, { t1: msg.t1, t2: msg.t2, t3, latency, delayMs: Number.isFinite(msg.delayMs) ? msg.delayMs : null });
       }
       return;
     }
 
+    // host -> server: {type:'led', mtype:'noteon'|'cc', ch:1..16, code, value} (LED feedback)
+    if (ws.role === 'host' && msg.type === 'led') {
+      sendLed(msg);
+      return;
+    }
+
     // === Room-scoped MIDI relay (unchanged feature)
     // Expect: { type:'midi', mtype:'noteon'|'noteoff'|'cc', ch, ... }
-    // Relay to all clients in the same room EXCEPT the sender.
+    // Relay to all clients in the same room EXCEPT the sender. Primary host only: a viewer
+    // (read token at most) or a standby host must not drive everyone else's board.
     if (msg.type === 'midi' && ws.room) {
+      if (!isPrimaryHost(ws)) return;
+      const info = recordRelay(ws.room, ws.id, msg);
       const r = getRoom(ws.room);
       const packet = JSON.stringify({ ...msg, room: ws.room });
+      const frame = frameFor(packet, info, ws.room, (v) => JSON.stringify({ ...withValue(msg, v), room: ws.room }));
       for (const s of [...r.hosts, ...r.viewers]) {
-        if (s !== ws && s.readyState === WebSocket.OPEN) { try { s.send(packet); } catch {} }
+        if (s !== ws && s.readyState === WebSocket.OPEN) queueSend(s, frame);
       }
       return;
     }
 
-    // === Original host→viewer relay preserved (info wrapper)
-    if (ws.role === 'host') {
+    // === Original host→viewer relay preserved (info wrapper); anything else is dropped
+    if (isPrimaryHost(ws)) {
       // Relay the original message as {type:'info', payload:<msg>, room}
-      broadcastToViewers_wrapped(ws.room, msg, ws);
+      const info = recordRelay(ws.room, ws.id, msg);
+      broadcastToViewers_wrapped(ws.room, msg, ws, info);
     }
   });
 
   ws.on('close', () => {
+    ws.sendQueue?.close();
+    if (!ws.room) return; // rejected before joining
     const r = getRoom(ws.room);
     r.hosts.delete(ws);
     r.viewers.delete(ws);
     // Broadcast updated presence when someone leaves
     broadcastPresence(ws.room);
+    const reason = r.arbiter.remove(ws.id);
+    if (reason) announceHosts(ws.room, reason);
+    resetStateIfHostless(ws.room);
   });
 });
 
@@ -452,6 +870,23 @@ const hbInterval = setInterval(() => {
   }
 }, HEARTBEAT_MS);
 
+// Lag reports: re-send presence while any viewer's queue is backed up (and once when it clears)
+const lagInterval = setInterval(() => {
+  for (const [roomName, r] of rooms) {
+    const lagging = viewerLag(r).some(l => l.queued > 0);
+    if (lagging || r.lagging) broadcastPresence(roomName);
+    r.lagging = lagging;
+  }
+}, LAG_REPORT_MS);
+
+// Host failover: promote a standby when a heartbeating primary goes quiet
+const hostInterval = setInterval(() => {
+  for (const [roomName, r] of rooms) {
+    const reason = r.arbiter.check();
+    if (reason) announceHosts(roomName, reason);
+  }
+}, Math.max(250, HOST_STALE_MS / 4));
+
 // Optional extra room-scoped heartbeat (env-gated)
 const ENABLE_ROOM_HEARTBEAT = process.env.ROOM_HEARTBEAT === '1';
 if (ENABLE_ROOM_HEARTBEAT) {
@@ -467,21 +902,37 @@ if (ENABLE_ROOM_HEARTBEAT) {
 }
 
 // Clean up interval on shutdown
-process.on('SIGTERM', () => { clearInterval(hbInterval); server.close(()=>process.exit(0)); });
-process.on('SIGINT',  () => { clearInterval(hbInterval); server.close(()=>process.exit(0)); });
+process.on('SIGTERM', () => { clearInterval(hbInterval); clearInterval(lagInterval); clearInterval(hostInterval); midiLog?.close(); server.close(()=>process.exit(0)); });
+process.on('SIGINT',  () => { clearInterval(hbInterval); clearInterval(lagInterval); clearInterval(hostInterval); midiLog?.close(); server.close(()=>process.exit(0)); });
 
 // ---- Optional HID bridge (unchanged)
 const HID_ENABLED = process.env.HID_ENABLED === '1';
 if (HID_ENABLED) {
-  const hid = createHID({ enabled: true });
+  // Listeners go on first: createHID opens the device and reports failures synchronously
+  const hid = new EventEmitter();
   // Keep original "broadcast to ALL clients" behavior for HID stream
-  hid.on('info',  (info) => broadcast(info));
+  hid.on('info',  (info) => { broadcast(info); logMidi(MIDI_LOG_BRIDGE_ROOM, 'hid', info); });
   hid.on('log',   (m)    => console.log('[HID]', m));
   hid.on('error', (e)    => console.warn('[HID] error:', e?.message || e));
+  createHID({ enabled: true, bus: hid });
 }
 
 // ---- Optional: MIDI → WS bridge (Node side) (unchanged)
 let midiInput = null;
+
+function sendLed(msg) {
+  if (!midiOutput) return;
+  const ch = Number(msg.ch), code = Number(msg.code);
+  const value = Math.max(0, Math.min(127, Number(msg.value) || 0));
+  if (!(ch >= 1 && ch <= 16) || !(code >= 0 && code <= 127)) return;
+  try {
+    // easymidi channels are 0–15
+    if (msg.mtype === 'cc') midiOutput.send('cc', { controller: code, value, channel: ch - 1 });
+    else midiOutput.send('noteon', { note: code, velocity: value, channel: ch - 1 });
+  } catch (e) {
+    console.warn('[MIDI] LED send failed:', e?.message || e);
+  }
+}
 try {
   const mod = await import('easymidi');           // dynamic ESM import of a CommonJS module
   const easymidi = mod.default ?? mod;            // interop: CJS may appear under .default
@@ -498,26 +949,36 @@ try {
       midiInput = new easymidi.Input(MIDI_INPUT);
       console.log(`[MIDI] Listening on: ${MIDI_INPUT}`);
 
-      const send = (type, d) => {
-        // easymidi channels are 0–15; UI code uses 1–16
-        const ch = typeof d.channel === 'number' ? d.channel + 1 : (d.ch ?? 1);
-        const info =
-          type === 'cc'
-            ? { type: 'cc', ch, controller: d.controller, value: d.value }
-            : (type === 'noteon' || type === 'noteoff')
-              ? { type, ch, d1: d.note, d2: d.velocity, value: d.velocity }
-              : { type, ch, ...d };
+      const device = deviceForName(MIDI_INPUT)?.id;
+      const emit = (info) => {
+        if (device) info.device = device;
         // Preserve original behavior: HID/MIDI bridge goes to ALL clients globally
         broadcast(info);
+        logMidi(MIDI_LOG_BRIDGE_ROOM, 'midi-bridge', info);
+      };
+      const pairer = MIDI_CC14 ? createCC14Pairer({ onInfo: emit }) : null;
+
+      const send = (type, d) => {
+        // easymidi channels are 0–15; UI code uses 1–16 (see server/info.js)
+        const info = fromEasymidi(type, d);
+        if (!info) return;
+        if (pairer) pairer.push(info); else emit(info);
       };
 
-      midiInput.on('noteon',  d => send('noteon', d));
-      midiInput.on('noteoff', d => send('noteoff', d));
-      midiInput.on('cc',      d => send('cc', d));
+      for (const ev of easymidiEvents({ sysex: MIDI_SYSEX })) midiInput.on(ev, d => send(ev, d));
     }
   } else {
     console.log('[MIDI] Node bridge idle. Set MIDI_INPUT="DDJ-FLX6" (or your IAC bus) to enable.');
   }
+
+  if (MIDI_OUTPUT) {
+    if (!outputs.includes(MIDI_OUTPUT)) {
+      console.warn(`[MIDI] Output "${MIDI_OUTPUT}" not found. Set MIDI_OUTPUT to one of:`, outputs);
+    } else {
+      midiOutput = new easymidi.Output(MIDI_OUTPUT);
+      console.log(`[MIDI] LED feedback on: ${MIDI_OUTPUT}`);
+    }
+  }
 } catch {
   console.warn('[MIDI] easymidi not available. Skipping Node MIDI bridge. (WebMIDI in the browser will still work.)');
 }
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// server/tokens.js
+// Local admin command for per-room tokens (see server/auth.js).
+//
+// Usage:
+//   npm run tokens -- issue  <room> [host|view]   # prints a fresh secret (default: host)
+//   npm run tokens -- revoke <room> [host|view]   # omit kind to drop both
+//   npm run tokens -- list
+//
+// Writes TOKENS_FILE (default ./data/room_tokens.json). A running server picks up
+// changes on the next connect/join. Hosts then open host.html?room=<room>&token=<secret>.
+
+import { loadTokens, saveTokens, generateToken } from './auth.js';
+
+const TOKENS_FILE = process.env.TOKENS_FILE || './data/room_tokens.json';
+
+const [cmd, room, kindArg] = process.argv.slice(2);
+const kind = (kindArg || 'host').toLowerCase() === 'view' ? 'view' : 'host';
+
+function usage() {
+  console.log('Usage: npm run tokens -- issue <room> [host|view] | revoke <room> [host|view] | list');
+  process.exitCode = 1;
+}
+
+const table = loadTokens(TOKENS_FILE);
+
+if (cmd === 'issue' && room) {
+  const secret = generateToken();
+  table[room] = { ...(table[room] || {}), [kind]: secret };
+  saveTokens(TOKENS_FILE, table);
+  console.log(`[tokens] ${kind} token for room "${room}":`);
+  console.log(secret);
+} else if (cmd === 'revoke' && room) {
+  if (!table[room]) {
+    console.warn(`[tokens] room "${room}" has no tokens`);
+  } else {
+    if (kindArg) delete table[room][kind]; else delete table[room];
+    if (table[room] && !Object.keys(table[room]).length) delete table[room];
+    saveTokens(TOKENS_FILE, table);
+    console.log(`[tokens] revoked ${kindArg ? kind : 'all'} token(s) for room "${room}"`);
+  }
+} else if (cmd === 'list') {
+  const rows = Object.entries(table).map(([name, e]) => ({
+    room: name, host: e.host ? 'set' : '-', view: e.view ? 'set' : '-'
+  }));
+  if (rows.length) console.table(rows); else console.log('[tokens] no rooms protected');
+} else {
+  usage();
+}
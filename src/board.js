@@ -3,26 +3,41 @@
 // auto-calibrates bounds for CH1–CH4 faders, tempos, crossfader,
 // adds jog wheel support, safe CSS-only rotation for knobs/jogs,
 // and (optionally) applies semantic/umbrella classes via groups.js for theming.
+// Renders one device from src/devices.js (?device=… or initBoard({device}), default flx6):
+// its SVG + map are the defaults, and infos tagged for another device are ignored.
+// Map lookups go through a key → entries index (mapper.buildMapIndex); a key mapped to several
+// targets lights all of them.
+// Late joiners get the room's live control state (flx:state-snapshot → applyStateSnapshot).
 // Console helpers under window.FLXTest.
 
-import { loadMappings as loadLocalMappings } from './mapper.js';
+import { loadMappings as loadLocalMappings, buildMapIndex, targetsForInfo } from './mapper.js';
+import { ccValue127 } from './cc14.js';
+import { createFrameBatcher } from './frame-batch.js';
+import { resolveDevice, getDevice, DEFAULT_DEVICE, entryMatchesDevice } from './devices.js';
 
 const DEFAULT_SVG_URL = './assets/board.svg';
 const DEFAULT_MAP_URL = './flx6_map.json';
 
 let svgRoot = null;
 let unifiedMap = [];
+let mapIndex = new Map(); // key → entries, rebuilt with unifiedMap (setUnifiedMap)
 let fileMapCache = []; // keep the shipped map so we can re-merge when learned map updates
+let boardDevice = DEFAULT_DEVICE; // registry id this board renders (src/devices.js)
+let boardReady = false;       // SVG + maps loaded (initBoard done)
+let pendingSnapshot = null;   // state:snapshot that arrived before that
 
 // State caches
 const lastCCValue    = Object.create(null);
 const knobAccumAngle = Object.create(null);
 const jogAngle       = Object.create(null); // per-target accumulated angle for jogs
+// Continuous DOM writes (fader y/x, knob + jog rotation) land once per animation frame;
+// window.FLXTest.frameStats() shows messages vs frames
+const frames = createFrameBatcher();
 
 /* -------------------------
    ID utilities
 --------------------------*/
-function toIdVariants(id = '') {
+export function toIdVariants(id = '') {
   const v = String(id);
   const a = new Set([v]);
   if (v.includes('_x5F_')) a.add(v.replace(/_x5F_/g, '_'));
@@ -69,23 +84,43 @@ function getJogConfig(el, entry){
 /* -------------------------
    Mapping helpers
 --------------------------*/
+// Same key on two devices = two entries (device/key); entries for other devices are dropped.
+// A key may map to several targets (fan-out); learned entries for a key replace the shipped ones.
 function mergeMaps(fileMap, local) {
-  const byKey = new Map();
+  const byKey = new Map(); // key → [entries]
+  const ns = (m, k) => (k && m.device ? `${m.device}/${k}` : k);
+  const add = (k, m) => {
+    const list = byKey.get(k) || [];
+    const i = list.findIndex(e => e.target === m.target);
+    if (i >= 0) list[i] = { ...list[i], ...m, name: m.name || list[i].name };
+    else list.push({ ...m });
+    byKey.set(k, list);
+  };
   (fileMap || []).forEach(m => {
-    const k = m.key || (m.type && m.ch != null && m.code != null ? `${m.type}:${m.ch}:${m.code}` : m.target);
-    if (k) byKey.set(k, { ...m });
+    if (!entryMatchesDevice(m, boardDevice)) return;
+    const k = ns(m, m.key || (m.type && m.ch != null && m.code != null ? `${m.type}:${m.ch}:${m.code}` : m.target));
+    if (k) add(k, m);
   });
+  const learned = new Set();
   (local || []).forEach(m => {
-    const k = m.key || (m.type && m.ch != null && m.code != null ? `${m.type}:${m.ch}:${m.code}` : m.target || m.name);
+    if (!entryMatchesDevice(m, boardDevice)) return;
+    const k = ns(m, m.key || (m.type && m.ch != null && m.code != null ? `${m.type}:${m.ch}:${m.code}` : m.target || m.name));
     if (!k) return;
-    if (byKey.has(k)) {
-      const base = byKey.get(k);
-      byKey.set(k, { ...base, ...m, name: m.name || base.name });
+    if (!learned.has(k) && byKey.has(k)) {
+      // first learned entry overlays the shipped one (keeps e.g. degPerStep) and drops the rest
+      const list = byKey.get(k);
+      const base = list.find(e => e.target === m.target) || list[0];
+      byKey.set(k, [{ ...base, ...m, name: m.name || base.name }]);
     } else {
-      byKey.set(k, { ...m });
+      add(k, m);
     }
+    learned.add(k);
   });
-  return Array.from(byKey.values());
+  return Array.from(byKey.values()).flat();
+}
+function setUnifiedMap(list) {
+  unifiedMap = list;
+  mapIndex = buildMapIndex(list);
 }
 async function fetchJSON(url) {
   try {
@@ -95,22 +130,25 @@ async function fetchJSON(url) {
     return [];
   }
 }
-function infoKey(info) {
-  const code = info.type === 'cc'
-    ? (info.controller ?? info.d1)
-    : (info.type === 'noteon' || info.type === 'noteoff')
-      ? info.d1
-      : info.d1;
-  return `${(info.type || '').toLowerCase()}:${info.ch}:${code}`;
-}
 
 /* -------------------------
    Init
 --------------------------*/
-export async function initBoard({ hostId, svgUrl = DEFAULT_SVG_URL, mapUrl = DEFAULT_MAP_URL } = {}) {
+export async function initBoard({ hostId, svgUrl, mapUrl, device } = {}) {
   const host = document.getElementById(hostId);
   if (!host) throw new Error(`Board host #${hostId} not found`);
 
+  // Device: explicit option → ?device= → default; unknown names fall back to the default
+  let wanted = device;
+  if (!wanted && typeof location !== 'undefined') {
+    try { wanted = new URLSearchParams(location.search).get('device'); } catch {}
+  }
+  const dev = resolveDevice(wanted) || getDevice(DEFAULT_DEVICE);
+  if (wanted && !resolveDevice(wanted)) console.warn('[Board] unknown device', wanted, '→', dev.id);
+  boardDevice = dev.id;
+  svgUrl = svgUrl || dev.svg || DEFAULT_SVG_URL;
+  mapUrl = mapUrl || dev.map || DEFAULT_MAP_URL;
+
   // Load SVG fresh
   const svgTxt = await (await fetch(svgUrl, { cache: 'no-store' })).text();
   host.innerHTML = svgTxt;
@@ -135,17 +173,20 @@ export async function initBoard({ hostId, svgUrl = DEFAULT_SVG_URL, mapUrl = DEF
   // Merge file map + local learned map
   fileMapCache = await fetchJSON(mapUrl);
   const local   = loadLocalMappings();
-  unifiedMap    = mergeMaps(fileMapCache, local);
+  setUnifiedMap(mergeMaps(fileMapCache, local));
 
   // Auto-calibrate slider bounds from rails (CH1–CH4, tempos, xfader)
   autoCalibrateSliders();
 
+  boardReady = true;
+  if (pendingSnapshot) applyStateSnapshot(pendingSnapshot);
+
   // Listen for "wizard saved mapping" → re-merge instantly (no reload needed)
   if (typeof window !== 'undefined' && !window.__FLX_REMERGE_BIND__) {
     window.__FLX_REMERGE_BIND__ = true;
     window.addEventListener('flx:map-updated', () => {
       try {
-        unifiedMap = mergeMaps(fileMapCache, loadLocalMappings());
+        setUnifiedMap(mergeMaps(fileMapCache, loadLocalMappings()));
         // eslint-disable-next-line no-console
         console.log('[Board] Re-merged learned mappings:', unifiedMap.length);
       } catch {}
@@ -236,37 +277,58 @@ function autoCalibrateSliders(){
 /* -------------------------
    Consume + animate
 --------------------------*/
-export function consumeInfo(info) {
+// targets: map entries already resolved by the bus's map-resolve stage (src/events.js);
+// direct callers leave it out and the key index is consulted here
+export function consumeInfo(info, targets) {
   if (!svgRoot || !info) return;
+  // events namespaced by device: another controller on the same channels isn't ours
+  if (info.device && info.device !== boardDevice) return;
+
+  // every target mapped to this key (wizard links / shared keys fan out)
+  const entries = targets || targetsForInfo(mapIndex, info);
+  if (entries.length) frames.count();
+  for (let i = 0; i < entries.length; i++) renderEntry(entries[i], info);
+}
+
+// render stage for the event bus: draws the targets map-resolve put on ctx
+export function renderStage(ctx) {
+  consumeInfo(ctx.info, ctx.targets);
+}
 
-  const k = infoKey(info);
-  const entry = unifiedMap.find(m =>
-    (m.key && m.key === k && m.target) ||
-    (!m.key && m.type === (info.type || '').toLowerCase() &&
-      m.ch === info.ch &&
-      m.code === (info.controller ?? info.d1) &&
-      m.target)
-  );
-  if (!entry) return;
-
-  const el = getElByAnyId(entry.target);
+function renderEntry(entry, info) {
+  // jog touch mapped to its own id → draw on the platter
+  const target = entry.target === 'jog_L_touch' ? 'jog_L'
+               : entry.target === 'jog_R_touch' ? 'jog_R'
+               : entry.target;
+  if (target !== entry.target) entry = { ...entry, target };
+  const el = getElByAnyId(target);
   if (!el) return;
 
   const t = (info.type || '').toLowerCase();
   if (t === 'cc') {
+    // feel-routed CCs (src/feel-routes.js): draw the curved/deadzoned value; soft takeover
+    // that hasn't picked up yet (apply:false) leaves the control where it is
+    const feel = info.feel;
+    if (feel && feel.apply === false) return;
     el.classList.add('lit');
-    animateContinuous(el, entry, info.value);
+    // paired 14-bit CCs (src/cc14.js) carry value14 → fractional 0..127 for smooth motion
+    animateContinuous(el, entry, feel && feel.norm != null ? feel.norm * 127 : ccValue127(info));
   } else if (t === 'noteon') {
-    // Optional: If you mapped jog touch to a separate id, forward to platter:
-    if (entry.target === 'jog_L_touch') entry.target = 'jog_L';
-    if (entry.target === 'jog_R_touch') entry.target = 'jog_R';
-
     el.classList.add('lit');
     setTimeout(() => el.classList.remove('lit'), 120);
   } else if (t === 'noteoff') {
-    if (entry.target === 'jog_L_touch') entry.target = 'jog_L';
-    if (entry.target === 'jog_R_touch') entry.target = 'jog_R';
     el.classList.remove('lit');
+  } else if (t === 'pitch') {
+    // 14-bit bend → 0..127 like a fader
+    el.classList.add('lit');
+    animateContinuous(el, entry, (info.value14 ?? (Number(info.value) || 0) + 8192) / 16383 * 127);
+  } else if (t === 'aftertouch' || t === 'polyaftertouch') {
+    // pressure: lit while held, continuous targets follow the value
+    animateContinuous(el, entry, Number(info.value) || 0);
+    if (!(info.value > 0)) el.classList.remove('lit');
+  } else if (t === 'program' || t === 'sysex') {
+    el.classList.add('lit');
+    setTimeout(() => el.classList.remove('lit'), 120);
   }
 }
 
@@ -330,6 +392,15 @@ function applyRotation(target, angleDeg){
   }
 }
 
+// rotate via CSS so we don't clobber translate(...)
+function rotateJog(rotateTarget, angle){
+  frames.schedule(rotateTarget, () => {
+    rotateTarget.style.transformBox = 'fill-box';
+    rotateTarget.style.transformOrigin = 'center';
+    rotateTarget.style.transform = `rotate(${angle}deg)`;
+  });
+}
+
 /* -------------------------
    Motion / lighting
 --------------------------*/
@@ -352,7 +423,7 @@ function animateContinuous(el, entry, value){
     const t    = Math.max(0, Math.min(1, value/127));
     // Invert mapping so 0 → bottom (maxY), 127 → top (minY)
     const y    = maxY - (maxY - minY) * t;
-    el.setAttribute('y', y.toFixed(1));
+    frames.schedule(el, () => el.setAttribute('y', y.toFixed(1)));
     return;
   }
 
@@ -365,7 +436,7 @@ function animateContinuous(el, entry, value){
     const maxX = parseFloat(el.getAttribute('data-maxX') || (minX + 300));
     const t    = Math.max(0, Math.min(1, value/127));
     const x    = minX + (maxX - minX) * t;
-    el.setAttribute('x', x.toFixed(1));
+    frames.schedule(el, () => el.setAttribute('x', x.toFixed(1)));
     return;
   }
 
@@ -387,11 +458,7 @@ function animateContinuous(el, entry, value){
 
     const k = entry.target || id;
     jogAngle[k] = (jogAngle[k] ?? 0) + deltaDeg;
-
-    // rotate via CSS so we don't clobber translate(...)
-    rotateTarget.style.transformBox = 'fill-box';
-    rotateTarget.style.transformOrigin = 'center';
-    rotateTarget.style.transform = `rotate(${jogAngle[k]}deg)`;
+    rotateJog(rotateTarget, jogAngle[k]);
 
     el.classList.add('lit');
     return;
@@ -422,7 +489,7 @@ function animateContinuous(el, entry, value){
     }
 
     // Do NOT normalize to 0..360; keeping raw −135..+135 avoids flips over 6 o'clock
-    applyRotation(target, angle);
+    frames.schedule(target, () => applyRotation(target, angle));
     el.classList.add('lit');
     return;
   }
@@ -491,6 +558,8 @@ if (typeof window !== 'undefined') {
   window.FLXTest.smokeFlashAll   = smokeFlashAll;
   window.FLXTest.listIds         = allTargetIdsInSVG;
   window.FLXTest.listSliderBounds= listSliderBounds;
+  window.FLXTest.frameStats      = () => frames.stats();
+  window.FLXTest.resetFrameStats = () => frames.reset();
 }
 
 /* -------------------------
@@ -502,7 +571,7 @@ if (typeof window !== 'undefined' && !window.__FLX_REMOTE_MAP_BIND__) {
   window.addEventListener('flx:remote-map', (ev) => {
     try {
       const remote = Array.isArray(ev.detail) ? ev.detail : [];
-      unifiedMap = mergeMaps(fileMapCache, remote);
+      setUnifiedMap(mergeMaps(fileMapCache, remote));
       // eslint-disable-next-line no-console
       console.log('[Board] Applied remote map:', unifiedMap.length);
     } catch (e) {
@@ -511,6 +580,47 @@ if (typeof window !== 'undefined' && !window.__FLX_REMOTE_MAP_BIND__) {
   });
 }
 
+/* -------------------------
+   Live state snapshot (late joiners)
+--------------------------*/
+// server/room-state.js snapshot: controls drawn where they sit now, held notes lit,
+// jogs turned by their accumulated relative steps. Queued until initBoard finishes.
+export function applyStateSnapshot(snap) {
+  if (!snap) return;
+  if (!boardReady) { pendingSnapshot = snap; return; }
+  pendingSnapshot = null;
+
+  for (const info of snap.controls || []) consumeInfo(info);
+  for (const info of snap.notes || []) {
+    if (info.device && info.device !== boardDevice) continue;
+    for (const entry of targetsForInfo(mapIndex, info)) getElByAnyId(entry.target)?.classList.add('lit');
+  }
+  for (const [tagged, steps] of Object.entries(snap.jogs || {})) {
+    // 'flx4/cc:1:33' for device-tagged jogs
+    const [device, key] = tagged.includes('/') ? tagged.split('/') : [null, tagged];
+    if (device && device !== boardDevice) continue;
+    const [, ch, code] = key.split(':');
+    for (const entry of targetsForInfo(mapIndex, { type: 'cc', ch: Number(ch), controller: Number(code) })) {
+      const el = getElByAnyId(entry.target);
+      if (!el || !/^jog_/i.test(entry.target)) continue;
+      const { degPerStep, mode, rotateTarget } = getJogConfig(el, entry);
+      if (mode !== 'relative7') continue;
+      jogAngle[entry.target] = (Number(steps) || 0) * degPerStep;
+      rotateJog(rotateTarget, jogAngle[entry.target]);
+    }
+  }
+  // eslint-disable-next-line no-console
+  console.log('[Board] Applied state snapshot:', (snap.controls || []).length, 'controls,',
+    (snap.notes || []).length, 'notes,', Object.keys(snap.jogs || {}).length, 'jogs');
+}
+
+if (typeof window !== 'undefined' && !window.__FLX_STATE_SNAPSHOT_BIND__) {
+  window.__FLX_STATE_SNAPSHOT_BIND__ = true;
+  window.addEventListener('flx:state-snapshot', (ev) => {
+    try { applyStateSnapshot(ev.detail); } catch (e) { console.warn('[Board] state snapshot failed:', e); }
+  });
+}
+
 /* -------------------------
    Public API
 --------------------------*/
@@ -519,9 +629,19 @@ export function getUnifiedMap() {
   return unifiedMap.slice();
 }
 
+// Live key → entries index (read-only; rebuilt on flx:map-updated / flx:remote-map)
+export function getMapIndex() {
+  return mapIndex;
+}
+
+// Registry id of the device this board renders (src/devices.js)
+export function getBoardDevice() {
+  return boardDevice;
+}
+
 // Allow a manual re-merge from the console if needed
 export function remergeLearned() {
-  unifiedMap = mergeMaps(fileMapCache, loadLocalMappings());
+  setUnifiedMap(mergeMaps(fileMapCache, loadLocalMappings()));
   // eslint-disable-next-line no-console
   console.log('[Board] Remerged (manual):', unifiedMap.length);
   return getUnifiedMap();
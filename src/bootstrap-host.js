@@ -5,9 +5,16 @@
 // - Listens for map:sync to persist & update window.__currentMap
 // - After connect: request map, wait ~700ms for server replay; if none, push local via map:ensure
 // - On first reconnect after open: repeat the ensure logic
+// - Console helpers for map history: FLXMapHistory.list() / FLXMapHistory.revert(key)
+// - Server clock sync (window.FLXClock, src/clock.js) for stamping relayed infos, and
+//   FLXProbe.run() → probe:summary with per-viewer rtt / offset / latency / jitter
+// - Room settings: FLXRoomSettings.set({ delayMs }) sets the viewers' stream delay
+// - Host arbitration: host:beat every second; FLXHost.claim() / release() / state, and
+//   'flx:host-active' with { primary, active, standby, reason } when this page's role changes
 
 import { connectWS } from '/src/ws.js';
 import { getWSURL } from '/src/roles.js';
+import { createClock } from '/src/clock.js';
 
 (function hostBootstrap(){
   const WS_ROLE = 'host';
@@ -17,6 +24,7 @@ import { getWSURL } from '/src/roles.js';
 
   const qs   = new URLSearchParams(location.search);
   const room = qs.get('room') || 'default';
+  const token = qs.get('token') || undefined; // room host token (protected rooms only)
 
   // simple stable hash for versions
   function keyOf(mapArr){
@@ -56,20 +64,136 @@ import { getWSURL } from '/src/roles.js';
       try { window.__currentMap = msg.map; } catch {}
       // persist locally for future boots / offline
       try { localStorage.setItem('learned_map', JSON.stringify(msg.map)); } catch {}
+      // a revert must also replace the wizard's learned map, or the next push restores the old one
+      if (msg.revertedFrom) {
+        try { localStorage.setItem('flx.learned.map.v1', JSON.stringify(msg.map)); } catch {}
+        console.log('[host] map reverted', msg.revertedFrom, '→', lastSyncKey);
+      }
       // notify listeners
       try { window.dispatchEvent(new CustomEvent('flx:map-updated')); } catch {}
     }
   }
 
+  // Server clock: the host-relay stamps infos with ts = FLXClock.now()
+  const clock = createClock({ send: (m) => wsClient?.socket?.send?.(JSON.stringify(m)) });
+
   const wsClient = connectWS({
     url: wsURL,
     role: WS_ROLE,
     room,
+    token,
     onInfo:   (info) => { try { window.consumeInfo?.(info); } catch {} },
-    onStatus: (s)   => { try { window.setWSStatus?.(s); } catch {} },
-    onMessage: (msg)=> noteSync(msg),
+    onStatus: (s)   => {
+      if (s === 'connected') clock.start();
+      try { window.setWSStatus?.(s); } catch {}
+    },
+    onMessage: (msg)=> { clock.onMessage(msg); noteSync(msg); noteHistory(msg); noteProbe(msg); noteSettings(msg); noteHost(msg); },
   });
-  if (typeof window !== 'undefined') window.wsClient = wsClient;
+  if (typeof window !== 'undefined') {
+    window.wsClient = wsClient;
+    window.FLXClock = clock;
+  }
+
+  // Probes: sent raw (wsClient.send would wrap them as midi_like); the server answers with
+  // probe:summary after its ack window. Each summary is also dispatched as 'flx:probe-summary'.
+  const probeWaiters = new Map();
+  function noteProbe(msg){
+    if (msg?.type !== 'probe:summary') return;
+    probeWaiters.get(msg.id)?.(msg);
+    probeWaiters.delete(msg.id);
+    try { window.dispatchEvent(new CustomEvent('flx:probe-summary', { detail: msg })); } catch {}
+  }
+  function runProbe({ timeoutMs = 3000 } = {}){
+    const id = Math.random().toString(36).slice(2, 9);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => { probeWaiters.delete(id); resolve(null); }, timeoutMs);
+      probeWaiters.set(id, (msg) => { clearTimeout(timer); resolve(msg); });
+      try { wsClient.socket.send(JSON.stringify({ type:'probe', id })); }
+      catch { clearTimeout(timer); probeWaiters.delete(id); resolve(null); }
+    });
+  }
+  if (typeof window !== 'undefined') window.FLXProbe = { run: runProbe };
+
+  // Room settings (server keeps them in memory; viewers with ?delay= ignore delayMs)
+  let roomSettings = {};
+  function noteSettings(msg){
+    if (msg?.type !== 'room:settings') return;
+    roomSettings = msg.settings || {};
+    console.log('[host] room settings', roomSettings);
+  }
+  if (typeof window !== 'undefined') {
+    window.FLXRoomSettings = {
+      get: () => roomSettings,
+      set: (settings) => {
+        try { wsClient.socket.send(JSON.stringify({ type:'room:settings', settings })); return true; }
+        catch { return false; }
+      },
+    };
+  }
+
+  // Map history: list versions and roll back (server keeps them in MAP_HISTORY_FILE).
+  // Requests carry an id the server echoes, so a map:error from a revert can't answer a list.
+  const historyWaiters = new Map();
+  function noteHistory(msg){
+    if (msg?.type === 'map:error') console.warn('[host] map error', msg.error, msg.key ?? '');
+    if (msg?.type !== 'map:history' && msg?.type !== 'map:error') return;
+    historyWaiters.get(msg.id)?.(msg);
+    historyWaiters.delete(msg.id);
+  }
+  function requestHistory({ timeoutMs = 3000 } = {}){
+    const s = wsClient?.socket;
+    if (!s || s.readyState !== 1) return Promise.resolve(null);
+    const id = Math.random().toString(36).slice(2, 9);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => { historyWaiters.delete(id); resolve(null); }, timeoutMs);
+      historyWaiters.set(id, (msg) => { clearTimeout(timer); resolve(msg?.type === 'map:history' ? msg : null); });
+      try { s.send(JSON.stringify({ type:'map:history', id })); }
+      catch { clearTimeout(timer); historyWaiters.delete(id); resolve(null); }
+    });
+  }
+  if (typeof window !== 'undefined') {
+    window.FLXMapHistory = {
+      list: async () => {
+        const msg = await requestHistory();
+        if (!msg) { console.warn('[host] map history unavailable (not connected or no reply)'); return null; }
+        const rows = (msg?.versions || []).map(v => ({
+          key: v.key, when: new Date(v.ts).toLocaleString(), type: v.type,
+          sender: v.sender, entries: v.entries, current: v.key === msg.current
+        }));
+        console.table(rows);
+        return rows;
+      },
+      revert: (key) => {
+        try { wsClient?.socket?.send?.(JSON.stringify({ type:'map:revert', key: String(key) })); return true; }
+        catch { return false; }
+      },
+    };
+  }
+
+  // Host arbitration (server/host-arbiter.js): one primary per room, the rest stand by.
+  // Heartbeats let a standby take over when this page freezes or loses its network.
+  const HOST_BEAT_MS = 1000;
+  const hostState = { primary: true, active: null, standby: [], reason: null }; // until told otherwise
+  function noteHost(msg){
+    if (msg?.type !== 'host:active') return;
+    const primary = !!msg.you && msg.active === msg.you;
+    if (primary !== hostState.primary) console.log(`[host] ${primary ? 'primary' : 'standby'} (${msg.reason})`);
+    Object.assign(hostState, { primary, active: msg.active, standby: msg.standby || [], reason: msg.reason });
+    try { window.dispatchEvent(new CustomEvent('flx:host-active', { detail: { ...hostState } })); } catch {}
+  }
+  function sendHost(type){
+    try { wsClient.socket.send(JSON.stringify({ type })); return true; } catch { return false; }
+  }
+  setInterval(() => {
+    if (wsClient?.socket?.readyState === 1) sendHost('host:beat');
+  }, HOST_BEAT_MS);
+  if (typeof window !== 'undefined') {
+    window.FLXHost = {
+      claim:   () => sendHost('host:claim'),
+      release: () => sendHost('host:release'),
+      get state() { return { ...hostState }; },
+    };
+  }
 
   // After connect, ensure the room has the latest map
   // Sequence:
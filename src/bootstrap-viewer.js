@@ -3,9 +3,15 @@
 // - Preserves OG behavior: role/room handling, URL resolution via getWSURL, normalizeInfo piping,
 //   probe-ack installation with retry timer, and wsClient exposure.
 // - Adds belt-and-suspenders: immediately request current map via {type:'map:get'} on load.
+// - Syncs to the server clock (src/clock.js) and measures one-way latency of host-stamped
+//   infos (info.ts); probe acks carry the NTP timestamps and the latency/jitter summary.
+// - Stream delay (src/delay-buffer.js): infos are released at host ts + delay so the board lines
+//   up with the encoder-delayed audio. ?delay=<ms> wins; otherwise the room's delayMs setting.
 
 import { connectWS } from '/src/ws.js';
 import { getWSURL } from '/src/roles.js';
+import { createClock, createLatencyStats } from '/src/clock.js';
+import { createDelayBuffer } from '/src/delay-buffer.js';
 
 (() => {
   const WS_ROLE = 'viewer'; // OG: viewer role preserved
@@ -15,6 +21,7 @@ import { getWSURL } from '/src/roles.js';
 
   const qs   = new URLSearchParams(location.search);
   const room = qs.get('room') || 'default'; // OG: room param preserved
+  const token = qs.get('token') || undefined; // room view token (protected rooms only)
 
   // OG: normalize pipeline preserved (guards against missing normalizeInfo)
   const normalize =
@@ -22,14 +29,46 @@ import { getWSURL } from '/src/roles.js';
       ? window.normalizeInfo
       : (x) => x;
 
-  const onInfo   = (info) => { try { window.consumeInfo?.(normalize(info)); } catch {} };
-  const onStatus = (s)   => { try { window.setWSStatus?.(s); } catch {} };
+  // Server clock + latency of host-stamped infos
+  const clock = createClock({ send: (m) => wsClient?.socket?.send?.(JSON.stringify(m)) });
+  const latency = createLatencyStats();
+
+  // Stream delay: URL param pins it, otherwise room:settings may set / change it
+  const urlDelay = qs.has('delay') ? qs.get('delay') : null;
+  const delay = createDelayBuffer({
+    delayMs: urlDelay ?? 0,
+    now: () => clock.now(),
+    deliver: (info) => { try { window.consumeInfo?.(normalize(info)); } catch {} },
+  });
+  function noteSettings(msg){
+    if (msg?.type !== 'room:settings' || urlDelay != null) return;
+    const ms = msg.settings?.delayMs ?? 0;
+    if (ms !== delay.delayMs) {
+      delay.setDelay(ms);
+      console.log('[viewer] stream delay', delay.delayMs, 'ms (room setting)');
+    }
+  }
+
+  const onInfo   = (info) => {
+    if (clock.synced && Number.isFinite(info?.ts)) latency.add(clock.now() - info.ts);
+    delay.push(info);
+  };
+  const onStatus = (s)   => {
+    if (s === 'connected') clock.start(); // re-sync after every (re)connect
+    try { window.setWSStatus?.(s); } catch {}
+  };
+  const onMessage = (msg) => { clock.onMessage(msg); noteSettings(msg); };
 
   // Connect WS with role + room (OG behavior)
-  const wsClient = connectWS({ url: wsURL, role: WS_ROLE, room, onInfo, onStatus });
+  const wsClient = connectWS({ url: wsURL, role: WS_ROLE, room, token, onInfo, onStatus, onMessage });
 
   // Expose for diagnostics (OG behavior)
-  if (typeof window !== 'undefined') window.wsClient = wsClient;
+  if (typeof window !== 'undefined') {
+    window.wsClient = wsClient;
+    window.FLXClock = clock;
+    window.FLXLatency = latency;
+    window.FLXDelay = delay;
+  }
 
   // NEW (requested): ask server for the current map immediately.
   // Safe if socket isn’t open yet; many servers queue or ignore gracefully.
@@ -40,9 +79,13 @@ import { getWSURL } from '/src/roles.js';
     if (!ws || ws.__probeAckInstalled) return;
     ws.__probeAckInstalled = true;
     ws.addEventListener('message', (e) => {
+      const t1 = Date.now();
       let m; try { m = JSON.parse(e.data); } catch {}
       if (m?.type === 'probe' && m.id) {
-        try { ws.send(JSON.stringify({ type: 'probe:ack', id: m.id })); } catch {}
+        // t1/t2 on the local clock: the server derives rtt + offset against its t0
+        const ack = { type: 'probe:ack', id: m.id, latency: latency.summary(), delayMs: delay.delayMs };
+        if (Number.isFinite(m.t0)) Object.assign(ack, { t1, t2: Date.now() });
+        try { ws.send(JSON.stringify(ack)); } catch {}
       }
     });
   }
@@ -0,0 +1,114 @@
+// src/cc14.js
+// 14-bit CC pairing: merges MSB (cc 0..31) + LSB (cc 32..63) into one high-res event.
+// Pure module (no DOM) shared by midi.js, host-midi.js and the server's easymidi bridge.
+//
+// The FLX6 sends faders, EQ, trim and tempo as MSB then LSB (cc n, cc n+32). A pair is
+// confirmed when an LSB follows its MSB within holdMs (or up front via opts.pairs).
+// After that the MSB is held until its LSB arrives (or holdMs passes) and the two go out
+// as a single event; the LSB itself is swallowed:
+//   { type:'cc', ch, controller: msb, value: msb7, d1: msb, d2: msb7,
+//     lsb, value14: 0..16383, norm: 0..1, hires: true }
+// Everything else (notes, unpaired CCs) passes through untouched, in order.
+// No optional chaining / default params, matching midi.js.
+
+function keyOf(ch, msb) { return ch + ':' + msb; }
+
+/**
+ * @param {{ onInfo:(info:object)=>void, holdMs?:number, auto?:boolean,
+ *           pairs?:Array<string>, now?:()=>number }} opts
+ *   pairs: pre-confirmed "ch:msb" keys; auto:false disables adjacency detection
+ * @returns {{ push(info:object):void, flush():void, reset():void, pairs():Array<string> }}
+ */
+export function createCC14Pairer(opts) {
+  opts = opts || {};
+  var onInfo = typeof opts.onInfo === 'function' ? opts.onInfo : function(){};
+  var holdMs = opts.holdMs != null ? Number(opts.holdMs) : 10;
+  var auto   = opts.auto !== false;
+  var now    = typeof opts.now === 'function' ? opts.now : function(){ return Date.now(); };
+
+  var confirmed = new Set(opts.pairs || []);
+  var lastMsb = new Map(); // key → { value, t } of the latest MSB seen (paired or not)
+  var pending = new Map(); // key → { info, timer } MSBs waiting for their LSB
+
+  function merged(msbInfo, lsb) {
+    var msb7 = msbInfo.value;
+    var value14 = (msb7 << 7) | (lsb & 0x7F);
+    var out = {};
+    for (var k in msbInfo) out[k] = msbInfo[k];
+    out.lsb = lsb;
+    out.value14 = value14;
+    out.norm = value14 / 16383;
+    out.hires = true;
+    return out;
+  }
+
+  function release(key, lsb) {
+    var p = pending.get(key);
+    if (!p) return;
+    pending.delete(key);
+    clearTimeout(p.timer);
+    onInfo(merged(p.info, lsb == null ? 0 : lsb));
+  }
+
+  function flush() {
+    Array.from(pending.keys()).forEach(function(k){ release(k, null); });
+  }
+
+  function push(info) {
+    if (!info || info.type !== 'cc') { flush(); onInfo(info); return; }
+
+    var ch = info.ch;
+    var cc = Number(info.controller != null ? info.controller : info.d1);
+    var value = Number(info.value != null ? info.value : info.d2);
+
+    if (cc < 32) {
+      var key = keyOf(ch, cc);
+      var msbInfo = { type: 'cc', ch: ch, controller: cc, value: value, d1: cc, d2: value };
+      lastMsb.set(key, { value: value, t: now() });
+      if (!confirmed.has(key)) { onInfo(info); return; }
+      release(key, null); // a second MSB before the LSB: let the first one go
+      pending.set(key, {
+        info: msbInfo,
+        timer: setTimeout(function(){ release(key, null); }, holdMs),
+      });
+      return;
+    }
+
+    if (cc < 64) {
+      var mkey = keyOf(ch, cc - 32);
+      if (pending.has(mkey)) { release(mkey, value); return; }
+
+      var last = lastMsb.get(mkey);
+      if (!confirmed.has(mkey) && auto && last && now() - last.t <= holdMs) confirmed.add(mkey);
+      if (confirmed.has(mkey) && last) {
+        // LSB after an already-emitted (or unchanged) MSB: refine that position
+        onInfo(merged({ type: 'cc', ch: ch, controller: cc - 32, value: last.value, d1: cc - 32, d2: last.value }, value));
+        return;
+      }
+    }
+
+    onInfo(info);
+  }
+
+  function reset() {
+    pending.forEach(function(p){ clearTimeout(p.timer); });
+    pending.clear();
+    lastMsb.clear();
+    confirmed = new Set(opts.pairs || []);
+  }
+
+  return {
+    push: push,
+    flush: flush,
+    reset: reset,
+    pairs: function(){ return Array.from(confirmed); },
+  };
+}
+
+// High-res 0..127 position for renderers/feel (fractional when value14 is present)
+export function ccValue127(info) {
+  if (info && info.value14 != null) return info.value14 / 16383 * 127;
+  return info ? Number(info.value) || 0 : 0;
+}
+
+export default { createCC14Pairer, ccValue127 };
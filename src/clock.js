@@ -0,0 +1,121 @@
+// src/clock.js
+// Shared clock + latency stats for host → viewer timing (ESM, no DOM; also imported by server.js).
+//
+// Clock sync is NTP-style against the relay server, which is the common timebase:
+//   client → {type:'clock:ping', t0}             t0 = client send time
+//   server → {type:'clock:pong', t0, t1, t2}     t1/t2 = server receive / send time
+//   client receives at t3
+//   offset = ((t1 - t0) + (t2 - t3)) / 2         server clock minus client clock
+//   rtt    = (t3 - t0) - (t2 - t1)
+// The sample with the lowest rtt of the last few wins (least queueing → best offset).
+// The host stamps relayed infos with ts = clock.now() and viewers measure
+// clock.now() - info.ts, so both ends read the same (server) clock.
+//
+//   const clock = createClock({ send: (m) => socket.send(JSON.stringify(m)) });
+//   clock.start();  onMessage: clock.onMessage(msg)  → true when it was a clock:pong
+//   clock.now()     → Date.now() corrected onto the server clock
+//
+//   const stats = createLatencyStats();
+//   stats.add(ms);  stats.summary() → { n, p50, p95, p99, max, jitter: { p50, p95, p99 } }
+
+export function ntpSample(t0, t1, t2, t3) {
+  return {
+    offset: ((t1 - t0) + (t2 - t3)) / 2,
+    rtt: Math.max(0, (t3 - t0) - (t2 - t1)),
+  };
+}
+
+// Nearest-rank percentile of an ascending array (p in 0..100)
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const i = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, i))];
+}
+
+export function createClock({
+  send,
+  now = Date.now,
+  keep = 8,          // samples considered for the min-rtt pick
+  burst = 5,         // pings right after start()
+  burstGapMs = 200,
+  everyMs = 10000,   // steady re-sync (drift, route changes)
+} = {}) {
+  const samples = [];
+  let best = null;
+  let timers = [];
+
+  function ping() {
+    try { send?.({ type: 'clock:ping', t0: now() }); } catch {}
+  }
+
+  function onMessage(msg) {
+    if (msg?.type !== 'clock:pong' || !Number.isFinite(msg.t0)) return false;
+    const s = ntpSample(msg.t0, Number(msg.t1), Number(msg.t2), now());
+    if (!Number.isFinite(s.offset)) return true;
+    samples.push(s);
+    if (samples.length > keep) samples.shift();
+    best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    return true;
+  }
+
+  function start() {
+    stop();
+    for (let i = 0; i < burst; i++) timers.push(setTimeout(ping, i * burstGapMs));
+    timers.push(setInterval(ping, everyMs));
+  }
+
+  function stop() {
+    timers.forEach((t) => { clearTimeout(t); clearInterval(t); });
+    timers = [];
+  }
+
+  return {
+    ping,
+    onMessage,
+    start,
+    stop,
+    now: () => now() + (best ? best.offset : 0),
+    get offset() { return best ? best.offset : 0; },
+    get rtt() { return best ? best.rtt : null; },
+    get synced() { return !!best; },
+  };
+}
+
+// Rolling one-way latency window; jitter is the change between consecutive latencies
+export function createLatencyStats({ size = 512 } = {}) {
+  let lat = [];
+  let jit = [];
+  let prev = null;
+
+  function add(ms) {
+    const v = Number(ms);
+    if (!Number.isFinite(v)) return;
+    lat.push(v);
+    if (lat.length > size) lat.shift();
+    if (prev != null) {
+      jit.push(Math.abs(v - prev));
+      if (jit.length > size) jit.shift();
+    }
+    prev = v;
+  }
+
+  function summary() {
+    const l = [...lat].sort((a, b) => a - b);
+    const j = [...jit].sort((a, b) => a - b);
+    const r = (x) => (x == null ? null : Math.round(x * 10) / 10);
+    return {
+      n: l.length,
+      p50: r(percentile(l, 50)),
+      p95: r(percentile(l, 95)),
+      p99: r(percentile(l, 99)),
+      max: r(l.length ? l[l.length - 1] : null),
+      jitter: { p50: r(percentile(j, 50)), p95: r(percentile(j, 95)), p99: r(percentile(j, 99)) },
+    };
+  }
+
+  function reset() { lat = []; jit = []; prev = null; }
+
+  return { add, summary, reset, get size() { return lat.length; } };
+}
+
+export default { ntpSample, percentile, createClock, createLatencyStats };
@@ -0,0 +1,97 @@
+// src/delay-buffer.js
+// Stream-delay / jitter buffer for the viewer pipeline (src/bootstrap-viewer.js → consumeInfo).
+// The stream's encoder delay means OBS would otherwise show the board moving before viewers
+// hear the audio: each info is held and released at its host timestamp + delayMs, which lines
+// the visual up with the audio and evens out network jitter smaller than the delay.
+//
+//   const buf = createDelayBuffer({ delayMs: 1500, deliver: consumeInfo, now: clock.now });
+//   buf.push(info);          // info.ts: host send time on the server clock (src/clock.js)
+//   buf.setDelay(ms);        // 0 releases everything held and passes new infos straight through
+//   buf.stats() → { delayMs, held, released, late }
+//
+// Infos without ts (bridge events, host not synced yet) are timed from their arrival.
+// Release order is arrival order: due times never run backwards, so a note-off cannot
+// overtake its note-on. A due more than delayMs ahead (clock re-sync jumped) is released at once.
+
+export const MAX_DELAY_MS = 10000;
+
+export function clampDelay(ms) {
+  const n = Math.round(Number(ms));
+  return Number.isFinite(n) ? Math.max(0, Math.min(MAX_DELAY_MS, n)) : 0;
+}
+
+export function createDelayBuffer({
+  delayMs = 0,
+  deliver = () => {},
+  now = Date.now,
+  maxHeld = 5000,      // past this the oldest infos are released early
+} = {}) {
+  let delay = clampDelay(delayMs);
+  const held = [];     // { info, due } in arrival order
+  let lastDue = -Infinity;
+  let timer = null;
+  let released = 0;
+  let late = 0;
+
+  function release(e) {
+    released++;
+    try { deliver(e.info); } catch (err) { console.warn('[delay] deliver failed', err); }
+  }
+
+  function push(info) {
+    if (!delay) { release({ info }); return; }
+    const t = now();
+    const base = Number.isFinite(info?.ts) ? info.ts : t;
+    const due = Math.min(Math.max(base + delay, lastDue), t + delay);
+    if (base + delay <= t) late++; // arrived after its release time
+    lastDue = due;
+    if (due <= t && !held.length) { release({ info }); return; }
+    held.push({ info, due });
+    while (held.length > maxHeld) release(held.shift());
+    arm();
+  }
+
+  // Release everything that is due; re-arm for the next one
+  function pump() {
+    timer = null;
+    const t = now();
+    while (held.length && (held[0].due <= t || held[0].due - t > delay)) release(held.shift());
+    arm();
+  }
+
+  function arm() {
+    if (timer || !held.length) return;
+    timer = setTimeout(pump, Math.max(0, held[0].due - now()));
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    while (held.length) release(held.shift());
+  }
+
+  function setDelay(ms) {
+    delay = clampDelay(ms);
+    if (!delay) flush();
+    else { clearTimeout(timer); timer = null; pump(); }
+  }
+
+  function clear() {
+    clearTimeout(timer);
+    timer = null;
+    held.length = 0;
+    lastDue = -Infinity;
+  }
+
+  return {
+    push,
+    pump,
+    flush,
+    setDelay,
+    clear,
+    get delayMs() { return delay; },
+    stats: () => ({ delayMs: delay, held: held.length, released, late }),
+  };
+}
+
+export default { createDelayBuffer, clampDelay, MAX_DELAY_MS };
@@ -0,0 +1,57 @@
+// src/devices.js
+// Device registry: which map, feel profile and SVG belong to which controller.
+// Pure module (no DOM) shared by midi.js, board.js, feel-loader.js and the server bridge.
+//
+// Infos from a recognised input carry `device: <id>` (midi.js tags them by port name,
+// server.js by MIDI_INPUT). A board renders one device (?device=flx4, default flx6) and
+// ignores events tagged for another one, so two controllers on the same channels don't
+// light each other's controls. Map entries may carry `device` as well; entries without it
+// (older learned maps) belong to whichever board loads them.
+//
+// Adding a controller = one entry here; `match` is tested against the MIDI port name,
+// `port` is the input name midi.js prefers when the page asks for that device.
+
+export const DEVICES = [
+  {
+    id: 'flx6', name: 'Pioneer DDJ-FLX6', match: /FLX[-\s]?6/i, port: 'DDJ-FLX6',
+    map: './flx6_map.json', feel: '/maps/flx6-feel.json', svg: './assets/board.svg',
+  },
+  {
+    // no FLX4 artwork yet: the FLX6 layout covers its two decks. The map holds placeholder
+    // targets for those decks (no MIDI keys until learned), so lint-map lists what is unmapped.
+    id: 'flx4', name: 'Pioneer DDJ-FLX4', match: /FLX[-\s]?4/i, port: 'DDJ-FLX4',
+    map: './maps/flx4_map.json', feel: '/maps/default-feel.json', svg: './assets/board.svg',
+  },
+  {
+    // programmer mode: pads are notes 11..88 (row * 10 + column) on channel 1
+    id: 'launchpad', name: 'Novation Launchpad', match: /Launchpad/i, port: 'Launchpad',
+    map: './maps/launchpad_map.json', feel: '/maps/default-feel.json', svg: './assets/launchpad.svg',
+  },
+];
+
+export const DEFAULT_DEVICE = 'flx6';
+export const DEFAULT_FEEL_URL = '/maps/default-feel.json';
+
+export function getDevice(id) {
+  const want = String(id || '').toLowerCase();
+  return DEVICES.find(d => d.id === want) || null;
+}
+
+// MIDI port name → registry entry (null for unknown ports, e.g. an IAC bus)
+export function deviceForName(name) {
+  const n = String(name || '');
+  if (!n) return null;
+  return DEVICES.find(d => d.match.test(n)) || null;
+}
+
+// Accepts a registry id ("flx4") or a port / product name ("DDJ-FLX4 MIDI 1")
+export function resolveDevice(idOrName) {
+  return getDevice(idOrName) || deviceForName(idOrName);
+}
+
+// Map entries without a device belong to every board; tagged ones only to theirs
+export function entryMatchesDevice(entry, deviceId) {
+  return !entry?.device || !deviceId || entry.device === deviceId;
+}
+
+export default { DEVICES, DEFAULT_DEVICE, DEFAULT_FEEL_URL, getDevice, deviceForName, resolveDevice, entryMatchesDevice };
@@ -2,8 +2,10 @@
 // Lightweight diagnostics overlay that shows incoming events and their resolved targets.
 // Safe to leave installed: when hidden, it stops rendering and removes any floating UI.
 
+import { keyForInfo } from './mapper.js';
+import { bus } from './events.js';
+
 let installed = false;
-let origConsume = null;
 
 let root = null;        // main panel
 let listEl = null;      // scrolling list
@@ -11,36 +13,34 @@ let popEl = null;       // floating "last event" pill
 let popTimer = null;    // timer for auto-hide pill
 const MAX_ROWS = 200;
 
+// Sink on the event bus (src/events.js); ctx.targets comes from the map-resolve stage
 function ensureInstalled() {
   if (installed) return;
-  if (typeof window.consumeInfo === 'function') {
-    origConsume = window.consumeInfo;
-    window.consumeInfo = (info) => { try { onEvent(info); } catch {} return origConsume(info); };
-    installed = true;
-  } else {
-    // Try again a bit later (e.g., if recorder sets it shortly after)
-    const t = setInterval(() => {
-      if (typeof window.consumeInfo === 'function') {
-        clearInterval(t);
-        ensureInstalled();
-      }
-    }, 50);
-  }
+  bus.subscribe('*', onEvent, { name: 'diag' });
+  installed = true;
 }
 
-function onEvent(info) {
+function onEvent(info, ctx) {
   // Always safe; if panel isn't open, just do nothing fast.
   if (!root || !root.classList.contains('open')) return;
 
-  const type = (info.type || '').toLowerCase();
-  const code = type === 'cc' ? (info.controller ?? info.d1) : info.d1;
-  const key  = `${type}:${info.ch}:${code}`;
-  const target = (info._targetId || info.targetId || info.target || '').toString().replace(/_x5F_/g, '_');
+  const key  = keyForInfo(info);
+  const resolved = (ctx?.targets || []).map(m => m.target).join(', ');
+  const target = (info._targetId || info.targetId || info.target || resolved || '').toString().replace(/_x5F_/g, '_');
 
-  appendRow({ key, target, raw: info });
+  appendRow({ key: `${key} = ${valueLabel(info)}`, target, raw: info });
   showPop(`${key} → ${target || '∅'}`);
 }
 
+// Value column per type (14-bit where available, SysEx as hex)
+function valueLabel(info) {
+  const t = (info.type || '').toLowerCase();
+  if (t === 'sysex') return (info.bytes || []).map(b => b.toString(16).padStart(2, '0')).join(' ');
+  if (t === 'pitch') return `${info.value} (${info.value14 ?? info.value + 8192})`;
+  if (info.value14 != null) return `${info.value} (${info.value14})`;
+  return String(info.value ?? info.d2 ?? '');
+}
+
 function createPanel() {
   if (root && document.body.contains(root)) return root;
 
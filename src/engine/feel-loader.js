@@ -1,15 +1,9 @@
 import { validateFeelConfig } from './feel.schema.js';
+import { resolveDevice, DEFAULT_FEEL_URL } from '../devices.js';
 
-export async function loadFeelConfig({ deviceName, fallbackUrl = '/maps/default-feel.json' } = {}) {
-  // Map device to file. Expand as needed.
-  const table = new Map([
-    [/FLX[-\s]?6/i, '/maps/flx6-feel.json'],
-  ]);
-
-  let url = fallbackUrl;
-  for (const [rx, path] of table) {
-    if (rx.test(deviceName || '')) { url = path; break; }
-  }
+// deviceName: registry id or MIDI port name (src/devices.js); unknown devices get the default profile
+export async function loadFeelConfig({ deviceName, fallbackUrl = DEFAULT_FEEL_URL } = {}) {
+  const url = resolveDevice(deviceName)?.feel || fallbackUrl;
 
   const res = await fetch(url, { cache: 'no-store' });
   if (!res.ok) throw new Error(`[feel] failed to fetch ${url}: ${res.status}`);
@@ -30,6 +30,11 @@ export function validateFeelConfig(cfg) {
     } else if (cc.type === 'jog') {
       if ('scaleOverride' in cc) num(cc.scaleOverride, `controls.${id}.scaleOverride`);
     }
+    // routing (src/feel-routes.js): "ch"/"cc" or "key"/"keys" as "cc:ch:n"
+    if ('cc' in cc) num(cc.cc, `controls.${id}.cc`);
+    if ('ch' in cc) num(cc.ch, `controls.${id}.ch`);
+    if ('key' in cc) str(cc.key, `controls.${id}.key`);
+    if ('keys' in cc && !Array.isArray(cc.keys)) errors.push(`controls.${id}.keys should be array`);
   }
   return errors;
 }
@@ -1,9 +1,111 @@
 // /src/events.js
+// Event bus for MIDI "info" objects. Every source (WebMIDI, WS, recorder playback,
+// simulator) ends in bus.emit(info) — window.consumeInfo is an alias — and features
+// hook ordered stages instead of wrapping window.consumeInfo in turn:
+//
+//   normalize → feel → map-resolve → render → sinks
+//
+//   use(stage, fn, { name })  middleware fn(ctx): may replace ctx.info, fill ctx.targets,
+//                             or return false to drop the event (later stages are skipped)
+//   subscribe(type, fn, { name })  sink fn(info, ctx) for one info type ('cc', 'noteon', …) or '*'
+//   unsubscribe(fn)           removes fn everywhere; use()/subscribe() also return an off()
+//
+// Handlers run in registration order within a stage. A throwing handler is logged (first
+// failure per handler) and skipped; the rest of the pipeline still runs.
+//   ctx = { info, targets: [], meta }   targets: map entries found by map-resolve; the board's
+//                                       render stage (board.js renderStage) draws exactly these
+
 import { armSoftTakeoverForDeck } from './state-hooks.js';
+import { buildMapIndex, targetsForInfo } from './mapper.js';
+
+export const STAGES = ['normalize', 'feel', 'map-resolve', 'render', 'sinks'];
+
+export function createBus() {
+  const stages = new Map(STAGES.map(s => [s, []])); // stage → [{ fn, name, type, errors }]
+
+  function add(stage, rec) {
+    const list = stages.get(stage);
+    if (!list) throw new Error(`[bus] unknown stage "${stage}" (expected ${STAGES.join(', ')})`);
+    list.push(rec);
+    return () => remove(rec.fn);
+  }
+
+  function use(stage, fn, { name } = {}) {
+    return add(stage, { fn, name: name || fn.name || stage, type: null, errors: 0 });
+  }
+
+  function subscribe(type, fn, { name } = {}) {
+    return add('sinks', { fn, name: name || fn.name || 'sink', type: String(type || '*').toLowerCase(), errors: 0 });
+  }
+
+  function remove(fn) {
+    let removed = false;
+    for (const list of stages.values()) {
+      const i = list.findIndex(r => r.fn === fn);
+      if (i >= 0) { list.splice(i, 1); removed = true; }
+    }
+    return removed;
+  }
+
+  function run(stage, rec, ctx) {
+    try {
+      if (stage !== 'sinks') return rec.fn(ctx);
+      const t = String(ctx.info?.type || '').toLowerCase();
+      if (rec.type === '*' || rec.type === t) rec.fn(ctx.info, ctx);
+    } catch (e) {
+      if (!rec.errors++) console.warn(`[bus] ${stage} handler "${rec.name}" failed`, e);
+    }
+    return undefined;
+  }
 
-function onTrackLoaded(deckId) {
+  function emit(info, meta = {}) {
+    if (!info) return null;
+    const ctx = { info, targets: [], meta };
+    for (const stage of STAGES) {
+      for (const rec of stages.get(stage).slice()) {
+        if (run(stage, rec, ctx) === false || !ctx.info) return null; // dropped
+      }
+    }
+    return ctx;
+  }
+
+  function list() {
+    return STAGES.map(stage => ({
+      stage,
+      handlers: stages.get(stage).map(r => (r.type ? `${r.name} [${r.type}]` : r.name) + (r.errors ? ` (${r.errors} errors)` : '')),
+    }));
+  }
+
+  return { use, subscribe, unsubscribe: remove, emit, list };
+}
+
+// map-resolve stage: ctx.targets = map entries for the info's type:ch:code key.
+// getMap returns a key → entries index (board getMapIndex) or a plain map array; arrays are
+// indexed once per distinct array, so pass a stable one.
+export function mapResolver(getMap) {
+  let lastMap = null, lastIndex = null;
+  return function mapResolve(ctx) {
+    const src = getMap();
+    if (!(src instanceof Map) && src !== lastMap) { lastMap = src; lastIndex = buildMapIndex(src); }
+    ctx.targets = targetsForInfo(src instanceof Map ? src : lastIndex, ctx.info).slice();
+  };
+}
+
+// Page-wide bus; installGlobal() makes window.consumeInfo feed it
+export const bus = createBus();
+
+export function installGlobal(b = bus) {
+  if (typeof window === 'undefined') return b;
+  window.FLXBus = b;
+  window.consumeInfo = (info) => b.emit(info);
+  return b;
+}
+
+export function onTrackLoaded(deckId) {
   if (window.__MIDI_FEEL__) {
     const { FEEL, FEEL_CFG } = window.__MIDI_FEEL__;
     armSoftTakeoverForDeck(FEEL, FEEL_CFG, deckId);
   }
 }
+
+export default { STAGES, createBus, mapResolver, bus, installGlobal, onTrackLoaded };
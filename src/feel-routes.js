@@ -0,0 +1,99 @@
+// src/feel-routes.js
+// CC → feel-control routing for midi.js handleCC (controls in maps/*-feel.json).
+// Pure module (no DOM); no optional chaining / default params, matching midi.js.
+//
+// Each control names the CC(s) it listens to:
+//   "xfader": { "type": "absolute", ..., "ch": 7, "cc": 31 }            one CC (no "ch" = any channel)
+//   "jog":    { "type": "jog", ..., "keys": ["cc:1:33", "cc:2:33"] }    several (or a single "key")
+// Relative controls decode two's complement like board.js decodeRelative7;
+// "encoding": "offset" reads 64 ± n instead.
+//
+// applyFeel() runs the CC through processAbsolute / processRelative / processJog and
+// returns what midi.js attaches as info.feel (board.js draws `norm`, skips apply:false):
+//   absolute / relative  { id, kind, apply, value, norm }   norm = 0..1 across min..max / clamp
+//   jog                  { id, kind: 'jog', apply: true, delta, vel, pos }
+
+function parseKey(k) {
+  var parts = String(k || '').split(':');
+  if (parts.length !== 3 || parts[0].toLowerCase() !== 'cc') return null;
+  var ch = Number(parts[1]), cc = Number(parts[2]);
+  if (!(cc >= 0 && cc <= 127)) return null;
+  return { ch: ch >= 1 && ch <= 16 ? ch : null, cc: cc };
+}
+
+/**
+ * @param {{ controls?: object }} cfg  feel config (loadFeelConfig)
+ * @returns {Map<string,string>}  "ch:cc" or "*:cc" → control id
+ */
+export function buildFeelRoutes(cfg) {
+  var routes = new Map();
+  var controls = (cfg && cfg.controls) || {};
+  Object.keys(controls).forEach(function(id){
+    var c = controls[id] || {};
+    var list = [];
+    if (c.cc != null) list.push({ ch: c.ch != null ? Number(c.ch) : null, cc: Number(c.cc) });
+    if (c.key) list.push(parseKey(c.key));
+    if (Array.isArray(c.keys)) c.keys.forEach(function(k){ list.push(parseKey(k)); });
+    list.forEach(function(r){
+      if (!r || !(r.cc >= 0 && r.cc <= 127)) return;
+      var k = (r.ch != null ? r.ch : '*') + ':' + r.cc;
+      if (routes.has(k)) console.warn('[feel] ' + k + ' routed to both', routes.get(k), 'and', id);
+      else routes.set(k, id);
+    });
+  });
+  return routes;
+}
+
+export function routeFor(routes, info) {
+  if (!routes || !info) return null;
+  var cc = info.controller != null ? info.controller : info.d1;
+  return routes.get(info.ch + ':' + cc) || routes.get('*:' + cc) || null;
+}
+
+export function relativeDelta(v, encoding) {
+  v = Number(v) || 0;
+  if (encoding === 'offset') return v - 64;
+  if (v === 0 || v === 64) return 0;
+  return v > 64 ? v - 128 : v;
+}
+
+function norm01(v, lo, hi) {
+  if (!(hi > lo)) return 0;
+  var n = (v - lo) / (hi - lo);
+  return n < 0 ? 0 : (n > 1 ? 1 : n);
+}
+
+/**
+ * @param {object} feel     runtime from buildFeelRuntime (processAbsolute/Relative/Jog)
+ * @param {object} cfg      feel config
+ * @param {Map} routes      from buildFeelRoutes(cfg)
+ * @param {object} info     cc info; value127 lets callers pass the 14-bit position (cc14.ccValue127)
+ * @param {number} [value127]
+ * @returns {object|null}   null when the CC isn't routed
+ */
+export function applyFeel(feel, cfg, routes, info, value127) {
+  var id = routeFor(routes, info);
+  if (!id || !feel) return null;
+  var c = (cfg && cfg.controls && cfg.controls[id]) || {};
+  var raw = value127 != null ? value127 : Number(info.value) || 0;
+
+  if (c.type === 'absolute') {
+    var a = feel.processAbsolute(id, raw, c);
+    var lo = c.min != null ? Number(c.min) : 0;
+    var hi = c.max != null ? Number(c.max) : 1;
+    return { id: id, kind: 'absolute', apply: !!a.apply, value: a.value, norm: norm01(a.value, lo, hi) };
+  }
+  if (c.type === 'relative') {
+    var r = feel.processRelative(id, relativeDelta(info.value, c.encoding), c);
+    var clamp = Array.isArray(c.clamp) ? c.clamp : [0, 1];
+    return { id: id, kind: 'relative', apply: !!r.apply, value: r.value, norm: norm01(r.value, clamp[0], clamp[1]) };
+  }
+  if (c.type === 'jog') {
+    var delta = relativeDelta(info.value, c.encoding);
+    var j = feel.processJog(delta, c);
+    return { id: id, kind: 'jog', apply: true, delta: delta, vel: j.vel, pos: j.pos };
+  }
+  return null;
+}
+
+export default { buildFeelRoutes, routeFor, relativeDelta, applyFeel };
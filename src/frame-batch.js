@@ -0,0 +1,64 @@
+// src/frame-batch.js
+// One-write-per-frame batching for board rendering (src/board.js animateContinuous).
+// schedule(key, fn) keeps only the latest fn per key (an element) and runs them all in a single
+// requestAnimationFrame callback, so a 100+ Hz jog or EQ sweep costs one DOM write per frame
+// instead of one per message. State (jog angles, knob accumulators) stays per-message in the
+// caller; only the DOM write is deferred and intermediate values are dropped.
+//
+//   const frames = createFrameBatcher();
+//   frames.count();                         // one per rendered message (dev counter)
+//   frames.schedule(el, () => el.setAttribute('y', y));
+//   frames.stats() → { messages, writes, coalesced, frames, pending, perFrame }
+//
+// Without requestAnimationFrame (node, workers) a ~16 ms timer stands in.
+
+export function createFrameBatcher({ raf } = {}) {
+  const request = raf
+    || (typeof requestAnimationFrame === 'function'
+      ? (cb) => requestAnimationFrame(cb)
+      : (cb) => setTimeout(cb, 16));
+  const pending = new Map(); // key → latest write
+  let scheduled = false;
+  let stats = { messages: 0, writes: 0, coalesced: 0, frames: 0 };
+
+  function schedule(key, fn) {
+    stats.writes++;
+    if (pending.has(key)) stats.coalesced++;
+    pending.set(key, fn);
+    if (!scheduled) {
+      scheduled = true;
+      request(flush);
+    }
+  }
+
+  function flush() {
+    scheduled = false;
+    if (!pending.size) return;
+    const writes = Array.from(pending.values());
+    pending.clear();
+    stats.frames++;
+    for (const fn of writes) {
+      try { fn(); } catch (e) { console.warn('[frames] write failed', e); }
+    }
+  }
+
+  function count(n = 1) {
+    stats.messages += n;
+  }
+
+  function getStats() {
+    return {
+      ...stats,
+      pending: pending.size,
+      perFrame: stats.frames ? +(stats.messages / stats.frames).toFixed(2) : 0,
+    };
+  }
+
+  function reset() {
+    stats = { messages: 0, writes: 0, coalesced: 0, frames: 0 };
+  }
+
+  return { schedule, flush, count, stats: getStats, reset };
+}
+
+export default { createFrameBatcher };
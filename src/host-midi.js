@@ -1,23 +1,17 @@
 // /src/host-midi.js
 // Host-only: reads WebMIDI and pushes normalized messages to WS.
+// 14-bit MSB/LSB CC pairs are merged by src/cc14.js unless opts.cc14 === false.
 
-function normalizeMIDIMessage(ev) {
-  // ev.data is [status, d1, d2], channel is low nibble of status for channel messages
-  const [status, d1=0, d2=0] = ev.data || [];
-  const typeNibble = status & 0xf0;
-  const ch = (status & 0x0f) + 1; // 1-16 for UI
+import { createCC14Pairer } from './cc14.js';
+import { decodeMIDIBytes } from './midi-decode.js';
 
-  if (typeNibble === 0x90) { // note on
-    return { type: 'noteon', ch, d1, d2, value: d2 };
-  }
-  if (typeNibble === 0x80) { // note off
-    return { type: 'noteoff', ch, d1, d2, value: d2 };
-  }
-  if (typeNibble === 0xB0) { // CC
-    return { type: 'cc', ch, controller: d1, value: d2 };
-  }
-  // pass-through fallback
-  return { type: 'raw', ch, d1, d2, status };
+function normalizeMIDIMessage(ev, sysex) {
+  // ev.data is [status, d1, d2]; decoding (all channel types + opt-in SysEx) lives in midi-decode.js
+  const info = decodeMIDIBytes(ev.data, { sysex });
+  if (info) return info;
+  const [status, d1 = 0, d2 = 0] = ev.data || [];
+  // pass-through fallback (system realtime etc.)
+  return { type: 'raw', ch: (status & 0x0f) + 1, d1, d2, status };
 }
 
 export async function startHostMIDI(sendFn, opts = {}) {
@@ -26,7 +20,7 @@ export async function startHostMIDI(sendFn, opts = {}) {
     return { stop: () => {} };
   }
 
-  const access = await navigator.requestMIDIAccess({ sysex: false });
+  const access = await navigator.requestMIDIAccess({ sysex: !!opts.sysex });
   const inputs = Array.from(access.inputs.values());
 
   if (!inputs.length) {
@@ -43,9 +37,8 @@ export async function startHostMIDI(sendFn, opts = {}) {
 
   console.log('[HostMIDI] Using input:', input.name);
 
-  const onMIDI = (ev) => {
+  const forward = (info) => {
     try {
-      const info = normalizeMIDIMessage(ev);
       sendFn({ type: 'midi_like', payload: info });
       // Hooks for learn/monitor if you already use them
       try { window.FLX_LEARN_HOOK?.(info); } catch {}
@@ -54,11 +47,18 @@ export async function startHostMIDI(sendFn, opts = {}) {
       console.warn('[HostMIDI] send failed:', e);
     }
   };
+  const pairer = opts.cc14 === false ? null : createCC14Pairer({ onInfo: forward });
+
+  const onMIDI = (ev) => {
+    const info = normalizeMIDIMessage(ev, !!opts.sysex);
+    if (pairer) pairer.push(info); else forward(info);
+  };
 
   input.addEventListener('midimessage', onMIDI);
 
   const stop = () => {
     try { input.removeEventListener('midimessage', onMIDI); } catch {}
+    pairer?.reset();
   };
 
   return { stop };
@@ -0,0 +1,139 @@
+// src/latency-panel.js
+// Host overlay for host → viewer timing: this host's clock sync against the server and, per
+// viewer, probe round-trip, clock offset and one-way latency / jitter percentiles of the
+// host-stamped infos (probe:summary, see src/clock.js and server.js).
+// Probes run only while the panel is open (window.FLXProbe from src/bootstrap-host.js).
+
+const PROBE_EVERY_MS = 2000;
+
+let root = null;
+let bodyEl = null;
+let clockEl = null;
+let timer = null;
+let polling = false;    // a probe is in flight
+
+const ms = (v) => (v == null ? '–' : `${Math.round(v)}`);
+
+function createPanel() {
+  if (root && document.body.contains(root)) return root;
+
+  root = document.createElement('div');
+  root.id = 'latencyRoot';
+  root.style.cssText = `
+    position: fixed;
+    top: 12px; left: 12px;
+    width: min(520px, 92vw);
+    max-height: 60vh;
+    display: none;
+    flex-direction: column;
+    gap: 8px;
+    padding: 10px;
+    background: var(--panel, #10162b);
+    color: var(--ink, #cfe0ff);
+    border: 1px solid var(--panel-border, #33406b);
+    border-radius: 10px;
+    box-shadow: 0 12px 30px rgba(0,0,0,.45);
+    z-index: 9999;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `display:flex; justify-content:space-between; align-items:center; gap:8px;`;
+  header.innerHTML = `
+    <strong>Latency</strong>
+    <button id="latencyClose" style="padding:4px 8px;">Close</button>
+  `;
+
+  clockEl = document.createElement('div');
+  clockEl.style.cssText = `font: 12px/1.3 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; opacity:.8;`;
+
+  const table = document.createElement('table');
+  table.style.cssText = `
+    font: 12px/1.3 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+    border-collapse: collapse; width: 100%; text-align: right;
+  `;
+  table.innerHTML = `
+    <thead><tr style="opacity:.7">
+      <th style="text-align:left">viewer</th><th>rtt</th><th>offset</th>
+      <th>p50</th><th>p95</th><th>p99</th><th>jit p95</th><th>delay</th><th>n</th>
+    </tr></thead>
+  `;
+  bodyEl = document.createElement('tbody');
+  table.appendChild(bodyEl);
+
+  const scroll = document.createElement('div');
+  scroll.style.cssText = `overflow:auto; max-height: 48vh; border-top: 1px solid rgba(255,255,255,.08); padding-top: 6px;`;
+  scroll.appendChild(table);
+
+  root.appendChild(header);
+  root.appendChild(clockEl);
+  root.appendChild(scroll);
+  document.body.appendChild(root);
+
+  root.querySelector('#latencyClose')?.addEventListener('click', () => hide());
+  return root;
+}
+
+function render(summary) {
+  if (!bodyEl) return;
+  const c = window.FLXClock;
+  clockEl.textContent = c?.synced
+    ? `host clock: offset ${ms(c.offset)} ms, rtt ${ms(c.rtt)} ms · latency in ms`
+    : 'host clock: not synced yet';
+
+  if (!summary) {
+    bodyEl.innerHTML = `<tr><td colspan="9" style="text-align:left;opacity:.7">no probe reply</td></tr>`;
+    return;
+  }
+  const rows = summary.viewers || [];
+  const missing = Math.max(0, (summary.totalViewers || 0) - rows.length);
+  bodyEl.innerHTML = rows.map((v) => `
+    <tr>
+      <td style="text-align:left">${v.id}</td><td>${ms(v.rtt)}</td><td>${ms(v.offset)}</td>
+      <td>${ms(v.latency?.p50)}</td><td>${ms(v.latency?.p95)}</td><td>${ms(v.latency?.p99)}</td>
+      <td>${ms(v.jitter?.p95)}</td><td>${ms(v.delayMs)}</td><td>${v.latency?.n ?? 0}</td>
+    </tr>
+  `).join('') + (missing
+    ? `<tr><td colspan="9" style="text-align:left;color:#ff8a8a">${missing} viewer(s) did not answer</td></tr>`
+    : '') + (summary.totalViewers
+    ? ''
+    : `<tr><td colspan="9" style="text-align:left;opacity:.7">no viewers in room "${summary.room}"</td></tr>`);
+}
+
+async function poll() {
+  timer = null;
+  if (!isOpen() || polling) return;
+  polling = true;
+  const summary = await window.FLXProbe?.run?.();
+  polling = false;
+  render(summary || null);
+  if (isOpen() && !timer) timer = setTimeout(poll, PROBE_EVERY_MS);
+}
+
+/* ---------------- Public API ---------------- */
+
+export function show() {
+  createPanel();
+  root.style.display = 'flex';
+  root.classList.add('open');
+  clearTimeout(timer);
+  poll();
+}
+
+export function hide() {
+  clearTimeout(timer);
+  timer = null;
+  if (root) {
+    root.classList.remove('open');
+    root.style.display = 'none';
+  }
+}
+
+export function toggle(force) {
+  if (force === true)  return show();
+  if (force === false) return hide();
+  if (isOpen()) hide(); else show();
+}
+
+export function isOpen() {
+  return !!(root && root.classList.contains('open'));
+}
@@ -41,9 +41,10 @@ export function initLauncher({
         <button data-act="recStop">Stop</button>
         <button data-act="recPlay">Play</button>
         <button data-act="recSave">Save</button>
+        <button data-act="recSaveMidi">Save .mid</button>
       </div>
       <label class="fab-upload">
-        Load <input type="file" accept="application/json" data-act="recLoad">
+        Load <input type="file" accept=".json,.ndjson,.jsonl,.mid,.midi,application/json,audio/midi" data-act="recLoad">
       </label>
     </div>
 
@@ -95,12 +96,15 @@ export function initLauncher({
     if (act === 'recStop')  return A.recStop?.();
     if (act === 'recPlay')  return A.recPlay?.();
     if (act === 'recSave')  return A.recSave?.();
+    if (act === 'recSaveMidi') return A.recSaveMidi?.();
   });
 
   // Recorder load (file input)
   sheet.querySelector('[data-act="recLoad"]')?.addEventListener('change', async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
+    // Prefer the sniffing loader (JSON / NDJSON / .mid); text-only loader as fallback
+    if (actions.recLoadFile) return actions.recLoadFile(file);
     const text = await file.text();
     await actions.recLoadText?.(text);
   });
@@ -18,14 +18,16 @@ function waitNextEvent(timeoutMs=15000){
 }
 function entryFromInfo(info, target, name){
   const type = (info.type||'').toLowerCase();
-  const code = (type==='cc') ? (info.controller ?? info.d1) : info.d1;
+  const code = (type==='cc') ? (info.controller ?? info.d1) : (info.d1 ?? 0);
   const key  = `${type}:${info.ch}:${code}`;
-  return { name: name||target||key, key, type, ch: info.ch, code, target };
+  const entry = { name: name||target||key, key, type, ch: info.ch, code, target };
+  if (info.device) entry.device = info.device; // src/devices.js: keep learned controls per controller
+  return entry;
 }
 function saveLocal(entry){
   const k='learnedMappings';
   let a=[]; try{ a=JSON.parse(localStorage.getItem(k)||'[]'); }catch{}
-  const i=a.findIndex(x=>x.key===entry.key);
+  const i=a.findIndex(x=>x.key===entry.key && (x.device||'')===(entry.device||''));
   if (i>=0) a[i] = { ...a[i], ...entry }; else a.push(entry);
   localStorage.setItem(k, JSON.stringify(a));
 }
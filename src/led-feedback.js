@@ -0,0 +1,114 @@
+// src/led-feedback.js
+// Mirrors the board's lit state back to the controller's LEDs.
+// Watches mapped SVG targets for 'lit' (board.js class) / data-lit (viewer-native-lights)
+// changes and sends the entry's LED message on each on/off edge.
+//
+// Map entries opt in with an `led` field (kept by mergeMaps like any other field):
+//   { key:"noteon:8:0", target:"pad_x5F_L_x5F_1", ..., led: { type:"noteon", ch:8, code:0, on:127, off:0 } }
+//   led: true  → reuse the entry's own type/ch/code (noteoff entries light as noteon), on 127 / off 0
+//
+// Sinks (either or both):
+//   output: a WebMIDI MIDIOutput (see midi.js pickOutput)  → raw bytes
+//   send:   (msg) => …  e.g. wsClient.socket.send → { type:'led', mtype, ch, code, value }
+//           server.js writes it to MIDI_OUTPUT (easymidi) for hosts without WebMIDI output
+//
+// Usage (host.html does this for ?leds=webmidi|server):
+//   const leds = attachLedFeedback({ svgRoot, getMap: getUnifiedMap, output });
+//   FLXLeds.list() / FLXLeds.allOff() from the console
+
+const canon = (id) => String(id || '').replace(/_x5F_/g, '_');
+
+function ledSpec(entry) {
+  const led = entry && entry.led;
+  if (!led) return null;
+  const base = led === true ? {} : led;
+  let type = String(base.type || entry.type || 'noteon').toLowerCase();
+  if (type === 'noteoff') type = 'noteon';
+  if (type !== 'noteon' && type !== 'cc') return null;
+  const ch = Number(base.ch ?? entry.ch);
+  const code = Number(base.code ?? entry.code);
+  if (!(ch >= 1 && ch <= 16) || !(code >= 0 && code <= 127)) return null;
+  return {
+    type, ch, code,
+    on:  Math.max(0, Math.min(127, Number(base.on ?? 127))),
+    off: Math.max(0, Math.min(127, Number(base.off ?? 0))),
+  };
+}
+
+// canonical target id → LED spec (first entry with an led field wins)
+export function buildLedIndex(map) {
+  const byTarget = new Map();
+  for (const m of map || []) {
+    if (!m?.target) continue;
+    const spec = ledSpec(m);
+    const t = canon(m.target);
+    if (spec && !byTarget.has(t)) byTarget.set(t, spec);
+  }
+  return byTarget;
+}
+
+export function ledBytes(spec, on) {
+  const status = (spec.type === 'cc' ? 0xB0 : 0x90) | (spec.ch - 1);
+  return [status, spec.code, on ? spec.on : spec.off];
+}
+
+const isLit = (el) => el.classList?.contains('lit') || el.dataset?.lit === '1';
+
+/**
+ * @param {{ svgRoot: SVGSVGElement, getMap: () => any[], output?: { send(bytes:number[]):void },
+ *           send?: (msg:object) => void }} opts
+ * @returns {{ detach(): void, allOff(): void, list(): Array<object> }}
+ */
+export function attachLedFeedback({ svgRoot, getMap, output = null, send = null } = {}) {
+  if (!svgRoot) throw new Error('[LED] svgRoot required');
+
+  let index = buildLedIndex(getMap?.() || []);
+  const state = new Map(); // canonical target → last sent on/off
+
+  function emit(spec, on) {
+    try { output?.send(ledBytes(spec, on)); } catch (e) { console.warn('[LED] output failed', e); }
+    try { send?.({ type: 'led', mtype: spec.type, ch: spec.ch, code: spec.code, value: on ? spec.on : spec.off }); } catch {}
+  }
+
+  function update(el) {
+    // lit classes may land on a child path or on the mapped group itself
+    for (let n = el; n && n !== svgRoot.parentNode; n = n.parentNode) {
+      const t = n.id && canon(n.id);
+      const spec = t && index.get(t);
+      if (!spec) continue;
+      const on = isLit(n);
+      if (state.get(t) === on) return;
+      state.set(t, on);
+      emit(spec, on);
+      return;
+    }
+  }
+
+  const observer = new MutationObserver((records) => {
+    for (const r of records) update(r.target);
+  });
+  observer.observe(svgRoot, { subtree: true, attributes: true, attributeFilter: ['class', 'data-lit'] });
+
+  const onMap = () => { index = buildLedIndex(getMap?.() || []); };
+  window.addEventListener('flx:map-updated', onMap);
+  window.addEventListener('flx:remote-map', onMap);
+
+  function allOff() {
+    for (const [t, spec] of index) { state.set(t, false); emit(spec, false); }
+  }
+
+  function list() {
+    return [...index].map(([target, s]) => ({ target, ...s, lit: !!state.get(target) }));
+  }
+
+  function detach() {
+    observer.disconnect();
+    window.removeEventListener('flx:map-updated', onMap);
+    window.removeEventListener('flx:remote-map', onMap);
+  }
+
+  window.FLXLeds = { list: () => { const l = list(); console.table(l); return l; }, allOff, detach };
+  return { detach, allOff, list };
+}
+
+export default { attachLedFeedback, buildLedIndex, ledBytes };
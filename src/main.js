@@ -1,10 +1,14 @@
 // src/main.js
 import * as board from './board.js';
 import { connectWS } from './ws.js';
-import { initWebMIDI } from './midi.js';
+import { initWebMIDI, feelStage } from './midi.js';
+import { bus, installGlobal, mapResolver } from './events.js';
 
-// 1) Expose consumeInfo globally so Console/tools can call it
-window.consumeInfo = board.consumeInfo;
+// 1) Expose consumeInfo globally (event bus, src/events.js) so Console/tools can call it
+installGlobal();
+bus.use('feel', feelStage, { name: 'feel' });
+bus.use('map-resolve', mapResolver(board.getMapIndex), { name: 'map' });
+bus.use('render', board.renderStage, { name: 'board' });
 
 // 2) Load the SVG board into the page
 board.initBoard({ hostId: 'boardHost' }).catch(err => console.error('initBoard failed:', err));
@@ -0,0 +1,115 @@
+// src/map-schema.js
+// Map entry schema + lint rules shared by bin/lint-map.js (CI) and anything that wants to
+// check a map before loading it. Pure module (no DOM, no fs).
+//
+// A valid entry (see src/mapper.js):
+//   { key: "type:ch:code", type, ch: 1-16 (0 for sysex), code: 0-127 (0 for pitch/aftertouch),
+//     target: "svgId", name?, device?: registry id (src/devices.js) }
+// A placeholder names a board control with no MIDI yet (empty key/type, null ch/code) —
+// flx6_map.json ships those; they are reported as unmapped, not as errors.
+//
+// Issues: { level: 'error'|'warning', rule, index, key, target, message }
+//   malformed  (error)    bad type / ch / code, key that disagrees with its parts, no target, unknown device
+//   duplicate  (error)    same key → same target twice in one file
+//   fan-out    (warning)  same key → several targets (board.js lights all of them)
+//   dangling   (error)    target id not found in the device SVG (any toIdVariants spelling);
+//                         a warning for placeholders
+//   unmapped   (warning)  control declared in a map but bound to no key in any map for that device
+
+import { MIDI_TYPES } from './midi-decode.js';
+import { getDevice } from './devices.js';
+
+const CODELESS = ['pitch', 'aftertouch'];
+
+export function isPlaceholder(e) {
+  return !!e && typeof e === 'object' && !e.key && !e.type && e.ch == null && e.code == null;
+}
+
+const isInt = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+
+/** @returns {string[]} problems with one entry ([] = valid or placeholder) */
+export function validateMapEntry(e) {
+  if (!e || typeof e !== 'object' || Array.isArray(e)) return ['entry is not an object'];
+  const out = [];
+  if (typeof e.target !== 'string' || !e.target) out.push('missing target');
+  if (e.device != null && !getDevice(e.device)) out.push(`unknown device "${e.device}"`);
+  if (isPlaceholder(e)) return out;
+
+  const type = String(e.type || '').toLowerCase();
+  if (!MIDI_TYPES.includes(type)) out.push(`type "${e.type ?? ''}" is not one of ${MIDI_TYPES.join('|')}`);
+  if (type === 'sysex' ? e.ch !== 0 : !isInt(e.ch, 1, 16)) out.push(`ch ${JSON.stringify(e.ch)} out of range`);
+  if (!isInt(e.code, 0, 127)) out.push(`code ${JSON.stringify(e.code)} out of range`);
+  else if (CODELESS.includes(type) && e.code !== 0) out.push(`${type} entries use code 0`);
+  if (e.key != null && e.key !== `${type}:${e.ch}:${e.code}`) {
+    out.push(`key "${e.key}" does not match ${type}:${e.ch}:${e.code}`);
+  }
+  return out;
+}
+
+/**
+ * @param {Array} entries
+ * @param {{ svgIds?: Set<string>, idVariants?: (id:string)=>string[], device?: string }} [opts]
+ *   svgIds: every id in the device SVG (omit to skip the dangling check);
+ *   idVariants: spellings to try per target (board.js toIdVariants);
+ *   device: the SVG's device — entries tagged for another one aren't checked against it
+ * @returns {Array} issues
+ */
+export function lintMap(entries, { svgIds = null, idVariants = (id) => [id], device = null } = {}) {
+  const issues = [];
+  const push = (level, rule, i, e, message) =>
+    issues.push({ level, rule, index: i, key: (e && e.key) || '', target: (e && e.target) || '', message });
+
+  if (!Array.isArray(entries)) {
+    push('error', 'malformed', -1, null, 'map is not an array');
+    return issues;
+  }
+
+  const byKey = new Map(); // device/key → [{ i, target }]
+  entries.forEach((e, i) => {
+    for (const msg of validateMapEntry(e)) push('error', 'malformed', i, e, msg);
+    if (!e || typeof e !== 'object') return;
+
+    const ours = !device || !e.device || e.device === device;
+    if (svgIds && ours && e.target && !idVariants(e.target).some(id => svgIds.has(id))) {
+      // a placeholder draws nothing yet, so its stale name is only a warning
+      push(isPlaceholder(e) ? 'warning' : 'error', 'dangling', i, e, `target "${e.target}" not found in SVG`);
+    }
+    if (!e.key) return;
+    const k = `${e.device || ''}/${e.key}`;
+    const seen = byKey.get(k) || [];
+    const dup = seen.find(s => s.target === e.target);
+    if (dup) push('error', 'duplicate', i, e, `duplicate of entry #${dup.i}`);
+    else seen.push({ i, target: e.target });
+    byKey.set(k, seen);
+  });
+
+  for (const seen of byKey.values()) {
+    if (seen.length < 2) continue;
+    const e = entries[seen[1].i];
+    push('warning', 'fan-out', seen[1].i, e, `key fans out to ${seen.map(s => s.target).join(', ')}`);
+  }
+  return issues.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Controls named in any of the maps (placeholders included) that no map binds to a key.
+ * @param {Array<Array>} maps  entry lists for one device
+ * @param {(id:string)=>string[]} [idVariants]
+ * @returns {string[]} targets, sorted
+ */
+export function unmappedTargets(maps, idVariants = (id) => [id]) {
+  const declared = new Map(); // canonical → target as first written
+  const bound = new Set();
+  const canon = (t) => idVariants(t).sort()[0];
+  for (const list of maps || []) {
+    for (const e of Array.isArray(list) ? list : []) {
+      if (!e || typeof e.target !== 'string' || !e.target) continue;
+      const c = canon(e.target);
+      if (!declared.has(c)) declared.set(c, e.target);
+      if (e.key || (e.type && e.ch != null && e.code != null)) bound.add(c);
+    }
+  }
+  return [...declared].filter(([c]) => !bound.has(c)).map(([, t]) => t).sort();
+}
+
+export default { isPlaceholder, validateMapEntry, lintMap, unmappedTargets };
@@ -1,7 +1,8 @@
 // src/mapper.js
 // Local “learned map” storage shared by Wizard + board.js.
 // Format for each entry:
-//   { key: "cc:ch:code", type: "cc|noteon|noteoff|pitch", ch: 1-16, code: int, target: "svgId", name?: string }
+//   { key: "cc:ch:code", type: "cc|noteon|noteoff|pitch", ch: 1-16, code: int, target: "svgId", name?: string,
+//     device?: "flx6" }   (registry id from src/devices.js; absent = any board)
 
 const LS_KEY = 'flx.learned.map.v1';
 
@@ -15,7 +16,7 @@ function ensureEntry(e) {
   const ch   = Number(e.ch);
   const code = Number(e.code);
   const key  = e.key || keyFromParts(type, ch, code);
-  return {
+  const out = {
     key,
     type,
     ch,
@@ -23,6 +24,8 @@ function ensureEntry(e) {
     target: String(e.target || ''),
     name: e.name || e.target || key
   };
+  if (e.device) out.device = String(e.device);
+  return out;
 }
 function clone(arr) { return JSON.parse(JSON.stringify(arr || [])); }
 
@@ -46,7 +49,7 @@ export function saveMappings(list = []) {
 export function upsertMapping(entry) {
   const e = ensureEntry(entry);
   const all = loadMappings();
-  const out = all.filter(m => (m.key || '') !== e.key);
+  const out = all.filter(m => (m.key || '') !== e.key || (m.device || '') !== (e.device || ''));
   out.push(e);
   saveMappings(out);
   return e;
@@ -63,6 +66,7 @@ export function clearMappings() {
   saveMappings([]);
 }
 
+// code = controller for cc, else d1 (note / program / poly-AT note / sysex id), 0 for pitch / aftertouch
 export function keyForInfo(info) {
   const t = (info.type || '').toLowerCase();
   const ch = info.ch;
@@ -72,4 +76,24 @@ export function keyForInfo(info) {
   return keyFromParts(t, ch, code);
 }
 
+// key → [entries] for O(1) lookups per event; a key mapped to several targets fans out.
+// Entries without a target (placeholders) are skipped.
+export function buildMapIndex(map) {
+  const index = new Map();
+  for (const m of map || []) {
+    if (!m || !m.target) continue;
+    const k = m.key || (m.type ? keyFromParts(m.type, m.ch, m.code) : '');
+    if (!k) continue;
+    const list = index.get(k);
+    if (list) list.push(m); else index.set(k, [m]);
+  }
+  return index;
+}
+
+const NO_TARGETS = Object.freeze([]);
+export function targetsForInfo(index, info) {
+  if (!index || !info) return NO_TARGETS;
+  return index.get(keyForInfo(info)) || NO_TARGETS;
+}
+
 export { LS_KEY };
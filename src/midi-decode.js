@@ -0,0 +1,62 @@
+// src/midi-decode.js
+// Raw MIDI bytes → info objects, shared by midi.js (WebMIDI), host-midi.js and midi-file.js.
+// Pure module; no optional chaining / default params so midi.js keeps its baseline.
+//
+// Shapes (key = type:ch:code, code = controller for cc, else d1 ?? 0 — see mapper.keyForInfo):
+//   noteon / noteoff  { type, ch, d1: note, d2: velocity, value }
+//   cc                { type:'cc', ch, controller, value, d1, d2 }
+//   pitch             { type:'pitch', ch, value: -8192..8191, value14: 0..16383 }     key pitch:ch:0
+//   aftertouch        { type:'aftertouch', ch, value: pressure }                        key aftertouch:ch:0
+//   polyaftertouch    { type:'polyaftertouch', ch, d1: note, d2: pressure, value }      key polyaftertouch:ch:note
+//   program           { type:'program', ch, d1: program, value: program }              key program:ch:program
+//   sysex (opt-in)    { type:'sysex', ch: 0, d1: manufacturer id, bytes: [0xF0 … 0xF7] } key sysex:0:id
+
+export var MIDI_TYPES = ['noteon', 'noteoff', 'cc', 'pitch', 'aftertouch', 'polyaftertouch', 'program', 'sysex'];
+
+/**
+ * @param {number} status  channel status byte (0x80..0xEF)
+ * @param {number} d1
+ * @param {number} d2      ignored for program / channel aftertouch
+ * @returns {object|null}
+ */
+export function decodeChannelMessage(status, d1, d2) {
+  var hi = status & 0xF0;
+  var ch = (status & 0x0F) + 1;
+  d1 = d1 || 0;
+  d2 = d2 || 0;
+
+  if (hi === 0x90) {                              // NOTE ON (0 => OFF)
+    if (d2 === 0) return { type: 'noteoff', ch: ch, d1: d1, d2: 0, value: 0 };
+    return { type: 'noteon', ch: ch, d1: d1, d2: d2, value: d2 };
+  }
+  if (hi === 0x80) return { type: 'noteoff', ch: ch, d1: d1, d2: d2, value: 0 };
+  if (hi === 0xB0) return { type: 'cc', ch: ch, controller: d1, value: d2, d1: d1, d2: d2 };
+  if (hi === 0xE0) {                              // PITCH BEND (14-bit, LSB first)
+    var v14 = (d2 << 7) | d1;
+    return { type: 'pitch', ch: ch, value: v14 - 8192, value14: v14 };
+  }
+  if (hi === 0xA0) return { type: 'polyaftertouch', ch: ch, d1: d1, d2: d2, value: d2 };
+  if (hi === 0xC0) return { type: 'program', ch: ch, d1: d1, value: d1 };
+  if (hi === 0xD0) return { type: 'aftertouch', ch: ch, value: d1 };
+  return null;
+}
+
+/**
+ * Decode one complete MIDI message.
+ * @param {Uint8Array|number[]} data
+ * @param {{ sysex?: boolean }} [opts]  sysex messages are dropped unless opts.sysex
+ * @returns {object|null}
+ */
+export function decodeMIDIBytes(data, opts) {
+  if (!data || data.length < 1) return null;
+  var status = data[0];
+  if (status === 0xF0) {
+    if (!(opts && opts.sysex)) return null;
+    var bytes = Array.prototype.slice.call(data);
+    return { type: 'sysex', ch: 0, d1: bytes[1] || 0, bytes: bytes };
+  }
+  if (status < 0x80 || status >= 0xF0 || data.length < 2) return null;
+  return decodeChannelMessage(status, data[1], data[2]);
+}
+
+export default { MIDI_TYPES, decodeChannelMessage, decodeMIDIBytes };
@@ -0,0 +1,254 @@
+// src/midi-file.js
+// Standard MIDI File (.mid) reader/writer for the recorder.
+// Converts type-0 / type-1 files into recorder events [{ t: ms, info }] using the
+// same info shapes as WebMIDI decoding (src/midi-decode.js: notes, cc, pitch, aftertouch,
+// program, sysex), and writes recorder events back out as a type-1 file (conductor
+// track + one track per channel, SysEx on its own track).
+// Pure module: no DOM, so it also runs under Node (tests, CLI tools).
+
+import { decodeChannelMessage } from './midi-decode.js';
+
+const sig = (s) => Array.from(s, c => c.charCodeAt(0));
+const MTHD = sig('MThd');
+const MTRK = sig('MTrk');
+
+function matches(bytes, at, want) {
+  for (let i = 0; i < want.length; i++) if (bytes[at + i] !== want[i]) return false;
+  return true;
+}
+function u16(b, i) { return (b[i] << 8) | b[i + 1]; }
+function u32(b, i) { return ((b[i] << 24) >>> 0) + ((b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]); }
+
+function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  if (Array.isArray(input)) return Uint8Array.from(input);
+  throw new Error('[midi-file] expected bytes (Uint8Array / ArrayBuffer)');
+}
+
+// Read one MTrk chunk into [{ tick, info }] + tempo changes [{ tick, usPerQuarter }]
+function readTrack(b, start, end) {
+  const events = [];
+  const tempos = [];
+  let i = start;
+  let tick = 0;
+  let running = 0;
+
+  const vlq = () => {
+    let v = 0;
+    for (let n = 0; n < 4; n++) {
+      const c = b[i++];
+      v = (v << 7) | (c & 0x7F);
+      if (!(c & 0x80)) break;
+    }
+    return v;
+  };
+
+  while (i < end) {
+    tick += vlq();
+    let status = b[i];
+    if (status & 0x80) { i++; } else { status = running; } // running status
+    if (!status) throw new Error('[midi-file] data byte without status at ' + i);
+
+    if (status === 0xFF) {                       // meta
+      const type = b[i++];
+      const len = vlq();
+      if (type === 0x51 && len === 3) tempos.push({ tick, usPerQuarter: (b[i] << 16) | (b[i + 1] << 8) | b[i + 2] });
+      i += len;
+      running = 0;                               // meta/sysex cancel running status
+      if (type === 0x2F) break;                  // end of track
+      continue;
+    }
+    if (status === 0xF0 || status === 0xF7) {   // sysex (F7 = escaped continuation: skipped)
+      const len = vlq();
+      if (status === 0xF0) {
+        const bytes = [0xF0, ...b.subarray(i, i + len)];
+        events.push({ tick, info: { type: 'sysex', ch: 0, d1: bytes[1] || 0, bytes } });
+      }
+      i += len;
+      running = 0;
+      continue;
+    }
+
+    running = status;
+    const hi = status & 0xF0;
+    const d1 = b[i++];
+    const d2 = (hi === 0xC0 || hi === 0xD0) ? 0 : b[i++];
+    const info = decodeChannelMessage(status, d1, d2);
+    if (info) events.push({ tick, info });
+  }
+  return { events, tempos };
+}
+
+// tick -> ms converter from a merged tempo map
+function makeTickClock(ppq, tempos) {
+  const map = tempos.slice().sort((a, b) => a.tick - b.tick);
+  if (!map.length || map[0].tick > 0) map.unshift({ tick: 0, usPerQuarter: 500000 }); // 120 BPM default
+  // precompute ms at each tempo change
+  let ms = 0;
+  for (let k = 0; k < map.length; k++) {
+    if (k > 0) ms += (map[k].tick - map[k - 1].tick) * map[k - 1].usPerQuarter / ppq / 1000;
+    map[k].ms = ms;
+  }
+  return (tick) => {
+    let k = map.length - 1;
+    while (k > 0 && map[k].tick > tick) k--;
+    return map[k].ms + (tick - map[k].tick) * map[k].usPerQuarter / ppq / 1000;
+  };
+}
+
+/**
+ * Parse a Standard MIDI File.
+ * @param {Uint8Array|ArrayBuffer} input
+ * @returns {{ format:number, ppq:number|null, tracks:number, events:Array<{t:number, info:object}> }}
+ */
+export function parseSMF(input) {
+  const b = toBytes(input);
+  if (!matches(b, 0, MTHD)) throw new Error('[midi-file] not a Standard MIDI File (missing MThd)');
+  const hdrLen = u32(b, 4);
+  const format = u16(b, 8);
+  const ntrks  = u16(b, 10);
+  const division = u16(b, 12);
+  if (format > 1) throw new Error(`[midi-file] format ${format} not supported (type 0/1 only)`);
+
+  const all = [];
+  const tempos = [];
+  let at = 8 + hdrLen;
+  let found = 0;
+  while (found < ntrks && at + 8 <= b.length) {
+    const len = u32(b, at + 4);
+    const end = Math.min(b.length, at + 8 + len);
+    if (matches(b, at, MTRK)) {                  // skip alien chunks
+      const tr = readTrack(b, at + 8, end);
+      for (const e of tr.events) all.push({ ...e, order: all.length });
+      tempos.push(...tr.tempos);
+      found++;
+    }
+    at = end;
+  }
+
+  let toMs;
+  let ppq = null;
+  if (division & 0x8000) {
+    // SMPTE: -fps in high byte, ticks per frame in low byte; tempo is irrelevant
+    const fps = 256 - (division >> 8);
+    const tpf = division & 0xFF;
+    toMs = (tick) => tick * 1000 / (fps * tpf);
+  } else {
+    ppq = division;
+    toMs = makeTickClock(ppq, tempos);
+  }
+
+  all.sort((a, b2) => (a.tick - b2.tick) || (a.order - b2.order));
+  const events = all.map(e => ({ t: toMs(e.tick), info: e.info }));
+  return { format, ppq, tracks: ntrks, events };
+}
+
+// ---------- writer ----------
+
+function vlqBytes(n) {
+  let v = Math.max(0, Math.round(n)) >>> 0;
+  const out = [v & 0x7F];
+  while ((v >>>= 7)) out.unshift((v & 0x7F) | 0x80);
+  return out;
+}
+const b7 = (v) => Math.max(0, Math.min(127, Number(v) || 0)) & 0x7F;
+
+// info -> message bytes (null for types a file can't carry); sysex handled by the caller
+function infoBytes(info) {
+  const t = String(info?.type || '').toLowerCase();
+  const ch = Math.max(1, Math.min(16, Number(info?.ch) || 1)) - 1;
+  if (t === 'noteon')  return [0x90 | ch, b7(info.d1), b7(info.d2 ?? info.value) || 1];
+  if (t === 'noteoff') return [0x80 | ch, b7(info.d1), b7(info.d2 ?? 0)];
+  if (t === 'cc')      return [0xB0 | ch, b7(info.controller ?? info.d1), b7(info.value ?? info.d2)];
+  if (t === 'pitch') {
+    const v = Math.max(0, Math.min(16383, info.value14 ?? ((Number(info.value) || 0) + 8192)));
+    return [0xE0 | ch, v & 0x7F, (v >> 7) & 0x7F];
+  }
+  if (t === 'polyaftertouch') return [0xA0 | ch, b7(info.d1), b7(info.d2 ?? info.value)];
+  if (t === 'program')        return [0xC0 | ch, b7(info.d1 ?? info.value)];
+  if (t === 'aftertouch')     return [0xD0 | ch, b7(info.value ?? info.d1)];
+  return null;
+}
+
+// 14-bit CC infos (src/cc14.js) carry the LSB of the pair: it goes out as CC controller+32
+// right after the MSB, so the file plays back at full resolution
+function lsbBytes(info) {
+  const msb = Number(info?.controller ?? info?.d1);
+  if (String(info?.type || '').toLowerCase() !== 'cc' || info.value14 == null || !(msb >= 0 && msb < 32)) return null;
+  const ch = Math.max(1, Math.min(16, Number(info.ch) || 1)) - 1;
+  return [0xB0 | ch, msb + 32, b7(info.lsb ?? (info.value14 & 0x7F))];
+}
+
+// sysex info -> track event bytes: F0 <vlq len> <data after F0, including F7>
+function sysexBytes(info) {
+  const raw = Array.isArray(info?.bytes) ? info.bytes.map(x => x & 0xFF) : null;
+  if (!raw || raw[0] !== 0xF0) return null;
+  const body = raw.slice(1);
+  if (body[body.length - 1] !== 0xF7) body.push(0xF7);
+  return [0xF0, ...vlqBytes(body.length), ...body];
+}
+
+function trackChunk(body) {
+  const n = body.length;
+  return [0x4D, 0x54, 0x72, 0x6B, (n >>> 24) & 255, (n >>> 16) & 255, (n >>> 8) & 255, n & 255, ...body];
+}
+
+/**
+ * Write recorder events as a type-1 Standard MIDI File.
+ * @param {Array<{t:number, info:object}>} events  t in ms
+ * @param {{ ppq?:number, bpm?:number, name?:string }} [opts]
+ * @returns {Uint8Array}
+ */
+export function writeSMF(events, { ppq = 480, bpm = 120, name = 'FLX6 take' } = {}) {
+  ppq = Math.max(24, Math.min(0x7FFF, Math.round(ppq)));
+  const usPerQuarter = Math.round(60000000 / Math.max(1, bpm));
+  const msToTick = (ms) => Math.round((Math.max(0, ms) * 1000 / usPerQuarter) * ppq);
+
+  // conductor: name + tempo + 4/4
+  const title = Array.from(String(name), c => c.charCodeAt(0) & 0x7F);
+  const conductor = [
+    0x00, 0xFF, 0x03, ...vlqBytes(title.length), ...title,
+    0x00, 0xFF, 0x51, 0x03, (usPerQuarter >> 16) & 255, (usPerQuarter >> 8) & 255, usPerQuarter & 255,
+    0x00, 0xFF, 0x58, 0x04, 4, 2, 24, 8,
+    0x00, 0xFF, 0x2F, 0x00,
+  ];
+
+  // bucket by channel (sysex → 16), keeping recording order for equal ticks
+  const SYSEX = 16;
+  const byCh = new Map();
+  (events || [])
+    .flatMap((e, i) => {
+      const sx = String(e.info?.type || '').toLowerCase() === 'sysex';
+      const tick = msToTick(+e.t || 0);
+      const lsb = sx ? null : lsbBytes(e.info);
+      return [{ tick, bytes: sx ? sysexBytes(e.info) : infoBytes(e.info), sx, i }]
+        .concat(lsb ? [{ tick, bytes: lsb, sx, i: i + 0.5 }] : []);
+    })
+    .filter(e => e.bytes)
+    .sort((a, b) => (a.tick - b.tick) || (a.i - b.i))
+    .forEach(e => {
+      const ch = e.sx ? SYSEX : e.bytes[0] & 0x0F;
+      if (!byCh.has(ch)) byCh.set(ch, []);
+      byCh.get(ch).push(e);
+    });
+
+  const tracks = [trackChunk(conductor)];
+  for (const ch of [...byCh.keys()].sort((a, b) => a - b)) {
+    const label = Array.from(ch === SYSEX ? 'SysEx' : `Ch ${ch + 1}`, c => c.charCodeAt(0));
+    const body = [0x00, 0xFF, 0x03, label.length, ...label];
+    let last = 0;
+    for (const e of byCh.get(ch)) {
+      body.push(...vlqBytes(e.tick - last), ...e.bytes);
+      last = e.tick;
+    }
+    body.push(0x00, 0xFF, 0x2F, 0x00);
+    tracks.push(trackChunk(body));
+  }
+
+  const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, (tracks.length >> 8) & 255, tracks.length & 255, (ppq >> 8) & 255, ppq & 255];
+  return Uint8Array.from([...header, ...tracks.flat()]);
+}
+
+export default { parseSMF, writeSMF };
@@ -1,7 +1,9 @@
 // /src/midi.js
 // Robust WebMIDI reader with safe globals + clear status updates.
 // Works in ESM or plain script. No optional chaining, no default params syntax.
-// SOP: OG preserved; added FEEL integration + snippet-based handleCC routing.
+// SOP: OG preserved; added FEEL integration + handleCC routing (src/feel-routes.js):
+// feelStage (the event bus 'feel' stage, src/events.js) attaches info.feel to routed CCs,
+// which board.js draws instead of the raw value.
 
 // Requires:
 //   /src/midi-feel.js            → export function buildFeelRuntime(config)
@@ -10,6 +12,10 @@
 
 import { buildFeelRuntime } from '/src/midi-feel.js';
 import { loadFeelConfig }   from '/src/engine/feel-loader.js';
+import { createCC14Pairer, ccValue127 } from '/src/cc14.js';
+import { decodeMIDIBytes } from '/src/midi-decode.js';
+import { deviceForName, getDevice } from '/src/devices.js';
+import { buildFeelRoutes, applyFeel } from '/src/feel-routes.js';
 
 // ---------- FEEL globals ----------
 var FEEL = null;
@@ -38,12 +44,20 @@ try {
 } catch (e) { /* ignore */ }
 
 // ---- public API -----------------------------------------------------
+// opts.inputs: listen to several inputs at once (names, exact or fuzzy); each info then
+// carries `source: <port name>`. Without it, one input is picked by pickInput's heuristics.
+// Ports known to src/devices.js also tag infos with `device: <registry id>`.
+// Hot-plug: a bound input that goes away reports 'disconnected:<name>'; a port that
+// pickInput (or opts.inputs) would choose is rebound as soon as it reappears.
 export async function initWebMIDI(opts) {
   opts = opts || {};
   var onInfo         = (typeof opts.onInfo   === 'function') ? opts.onInfo   : function(){};
   var onStatus       = (typeof opts.onStatus === 'function') ? opts.onStatus : function(){};
   var preferredInput = (typeof opts.preferredInput === 'string') ? opts.preferredInput : '';
+  var wanted         = (Array.isArray(opts.inputs) && opts.inputs.length) ? opts.inputs.map(String) : null;
   var logEnabled     = !!opts.log;
+  var useCC14        = opts.cc14 !== false; // merge 14-bit MSB/LSB pairs (default on)
+  var useSysex       = !!opts.sysex;        // SysEx needs its own permission prompt
 
   function log(){ if (logEnabled) { try { console.log.apply(console, arguments); } catch(e){} } }
 
@@ -52,64 +66,114 @@ export async function initWebMIDI(opts) {
     onStatus('unsupported');
     console.warn('[WebMIDI] Not supported in this environment.');
     // return a handle that still has listInputs/stop so callers never crash
-    return makeHandle(null, null, onStatus, log, null, null);
+    return makeHandle(null, null, onStatus, log);
   }
 
   onStatus('requesting');
 
   var access = null;
   try {
-    access = await navigator.requestMIDIAccess({ sysex: false });
+    access = await navigator.requestMIDIAccess({ sysex: useSysex });
   } catch (e) {
     onStatus('denied');
     console.warn('[WebMIDI] Permission denied or request failed.');
-    return makeHandle(null, null, onStatus, log, null, null);
+    return makeHandle(null, null, onStatus, log);
   }
 
   onStatus('ready');
 
-  var inputs = toArray(access.inputs && access.inputs.values && access.inputs.values());
-  if (!inputs.length) {
-    onStatus('no-inputs');
-    console.warn('[WebMIDI] No MIDI inputs found.');
-    // expose globals now (still useful; will list [])
-    exposeGlobals(access, null, onStatus, log, null, null);
-    return makeHandle(access, null, onStatus, log, null, null);
+  var deliver = function (info) {
+    // 1) your app callback (feel routing runs later, in the bus 'feel' stage)
+    try { onInfo(info); } catch(e){}
+    // 2) optional console hooks; never throw
+    try { if (typeof window !== 'undefined' && window.FLX_LEARN_HOOK)   window.FLX_LEARN_HOOK(info); } catch(e){}
+    try { if (typeof window !== 'undefined' && window.FLX_MONITOR_HOOK) window.FLX_MONITOR_HOOK(info); } catch(e){}
+  };
+
+  // ---- bound inputs: port.id → { port, handler, pairer } (one cc14 pairer per port)
+  var bound = new Map();
+
+  function connectedInputs() {
+    return toArray(access.inputs && access.inputs.values && access.inputs.values())
+      .filter(function(i){ return i.state !== 'disconnected'; });
   }
 
-  var input = pickInput(inputs, preferredInput);
-  if (!input) {
-    onStatus('no-inputs');
-    console.warn('[WebMIDI] No matching input. Available:', inputs.map(function(i){ return i.name; }));
-    exposeGlobals(access, null, onStatus, log, null, null);
-    return makeHandle(access, null, onStatus, log, null, null);
+  // Ports that should be bound right now
+  function resolve() {
+    var arr = connectedInputs();
+    if (!wanted) {
+      var one = pickInput(arr, preferredInput);
+      return one ? [one] : [];
+    }
+    var out = [];
+    wanted.forEach(function(w){
+      var p = matchName(arr, w);
+      if (p && out.indexOf(p) < 0) out.push(p);
+    });
+    return out;
   }
 
-  var handler = function (ev) {
-    var info = decodeMIDI(ev && ev.data);
-    if (!info) return;
+  function bind(port) {
+    if (!port || bound.has(port.id)) return;
+    var source = wanted ? port.name : '';
+    var dev = deviceForName(port.name);
+    var emit = (source || dev)
+      ? function(info){
+          if (source) info.source = source;
+          if (dev) info.device = dev.id;
+          deliver(info);
+        }
+      : deliver;
+    var pairer = useCC14 ? createCC14Pairer({ onInfo: emit }) : null;
+    var handler = function (ev) {
+      var info = decodeMIDI(ev && ev.data, useSysex);
+      if (!info) return;
+      if (pairer) pairer.push(info); else emit(info);
+    };
+    try { port.onmidimessage = handler; } catch(e){}
+    bound.set(port.id, { port: port, handler: handler, pairer: pairer });
+    log('[WebMIDI] Listening on:', port.name);
+  }
 
-    // ===== FEEL-AWARE ROUTING via your snippet (non-breaking) =====
-    try { if (info.type === 'cc') handleCC(info); } catch (eFeel) { try { console.warn('[MIDI/feel] routing error', eFeel); } catch(_){} }
+  function unbind(id) {
+    var b = bound.get(id);
+    if (!b) return;
+    bound.delete(id);
+    try { if (b.port.onmidimessage === b.handler) b.port.onmidimessage = null; } catch(e){}
+    if (b.pairer) b.pairer.flush();
+  }
 
-    // 1) your app callback
-    try { onInfo(info); } catch(e){}
-    // 2) optional console hooks; never throw
-    try { if (typeof window !== 'undefined' && window.FLX_LEARN_HOOK)   window.FLX_LEARN_HOOK(info); } catch(e){}
-    try { if (typeof window !== 'undefined' && window.FLX_MONITOR_HOOK) window.FLX_MONITOR_HOOK(info); } catch(e){}
-  };
+  function names() {
+    return Array.from(bound.values()).map(function(b){ return b.port.name; });
+  }
 
-  try { input.onmidimessage = handler; } catch(e){}
-  onStatus('listening:' + input.name);
-  log('[WebMIDI] Listening on:', input.name);
+  function reportListening() {
+    if (bound.size) onStatus('listening:' + names().join(', '));
+    else onStatus('no-inputs');
+  }
 
   var stateHandler = function (e) {
-    try {
-      var t = e && e.port && e.port.type;
-      var n = e && e.port && e.port.name;
-      var s = e && e.port && e.port.state;
-      if (t && n && s) log('[WebMIDI] state:', t + ' "' + n + '" ' + s);
-    } catch (err) {}
+    var port = e && e.port;
+    if (!port) return;
+    try { log('[WebMIDI] state:', port.type + ' "' + port.name + '" ' + port.state); } catch (err) {}
+    if (port.type !== 'input') return;
+
+    if (port.state === 'disconnected') {
+      if (!bound.has(port.id)) return;
+      unbind(port.id);
+      onStatus('disconnected:' + port.name);
+      console.warn('[WebMIDI] Input disconnected:', port.name);
+      return;
+    }
+
+    // 'connected' also fires when a bound port opens; only react to new candidates
+    if (port.state !== 'connected' || bound.has(port.id)) return;
+    var picks = resolve();
+    if (!picks.some(function(p){ return p.id === port.id; })) return;
+    if (!wanted) Array.from(bound.keys()).forEach(unbind); // single input: switch to the better match
+    bind(port);
+    reportListening();
+    console.log('[WebMIDI] Input connected, rebound:', port.name);
   };
 
   try {
@@ -120,10 +184,19 @@ export async function initWebMIDI(opts) {
     }
   } catch (e) {}
 
+  var ctl = { bound: bound, bind: bind, unbind: unbind, names: names, report: reportListening, stateHandler: stateHandler };
+
+  resolve().forEach(bind);
+  if (!bound.size) {
+    console.warn('[WebMIDI] No matching input (waiting for hot-plug). Available:',
+      connectedInputs().map(function(i){ return i.name; }));
+  }
+  reportListening();
+
   // publish real helpers now that we have access
-  exposeGlobals(access, input, onStatus, log, handler, stateHandler);
+  exposeGlobals(access, ctl, onStatus, log);
 
-  return makeHandle(access, input, onStatus, log, handler, stateHandler);
+  return makeHandle(access, ctl, onStatus, log);
 }
 
 // ---- SOP addition: snippet-compatible bootstrap (feels integrated) ----
@@ -142,7 +215,11 @@ export async function bootMIDIFromQuery(overrides) {
   var search = '';
   try { search = String(window.location && window.location.search || ''); } catch(e) { search = ''; }
   var qs = new URLSearchParams(search);
-  var preferred = qs.get('midi') || window.__MIDI_DEVICE_NAME__ || 'DDJ-FLX6';
+  var dev = getDevice(qs.get('device')); // ?device=flx4 → prefer that controller's port + feel
+  var preferred = qs.get('midi') || window.__MIDI_DEVICE_NAME__ || (dev && dev.port) || 'DDJ-FLX6';
+  // ?midi=DDJ-FLX6,IAC Bus 1 → listen to both, infos tagged with `source`
+  var several = preferred.split(',').map(function(n){ return n.trim(); }).filter(Boolean);
+  if (several.length > 1) preferred = several[0]; else several = null;
 
   // Load FEEL config first (non-fatal if it fails)
   try {
@@ -175,6 +252,8 @@ export async function bootMIDIFromQuery(overrides) {
 
   var logFlag = false;
   try { logFlag = qs.has('logmidi'); } catch(e) { logFlag = false; }
+  var cc14 = qs.get('cc14') !== '0'; // ?cc14=0 → raw 7-bit MSB/LSB events
+  var sysex = qs.get('sysex') === '1'; // ?sysex=1 → also decode SysEx
 
   try { console.log('[MIDI] starting init with', preferred); } catch(e){}
 
@@ -183,7 +262,10 @@ export async function bootMIDIFromQuery(overrides) {
       onInfo: onInfo,
       onStatus: onStatus,
       preferredInput: preferred,
-      log: logFlag
+      inputs: several,
+      log: logFlag,
+      cc14: cc14,
+      sysex: sysex
     });
     try { console.log('[MIDI] init OK'); } catch(e){}
     return handle;
@@ -193,6 +275,7 @@ export async function bootMIDIFromQuery(overrides) {
     return {
       get access(){ return null; },
       get input(){ return null; },
+      get inputs(){ return []; },
       listInputs: function(){ return []; },
       stop: function(){ try { onStatus('stopped'); } catch(e3){} }
     };
@@ -208,50 +291,41 @@ try {
 
 // ===================== SNIPPET ADDITIONS (Feel routing helpers) =====================
 
-// CC map (extend as needed)
-var CC = { XFADER: 0x10 };
+// Routes come from the feel config itself ("ch"/"cc" or "keys" per control, see
+// src/feel-routes.js). The wizard's live tuning (app-boot.js) swaps window.__MIDI_FEEL__,
+// so read through it and rebuild the index whenever the config object changes.
+var ROUTES = null;
+var ROUTES_CFG = null;
 
-// Safe getters + simple absolute processor fallback
-function feelCfg(id){
+function currentFeel() {
   try {
-    if (FEEL_CFG && FEEL_CFG.controls && FEEL_CFG.controls[id]) return FEEL_CFG.controls[id];
+    var w = (typeof window !== 'undefined') ? window.__MIDI_FEEL__ : null;
+    if (w && w.FEEL && w.FEEL_CFG) return w;
   } catch(e){}
-  return {};
+  return { FEEL: FEEL, FEEL_CFG: FEEL_CFG };
 }
 
-function feelAbs(id, raw, cfg){
-  try {
-    if (FEEL && FEEL.processAbsolute) return FEEL.processAbsolute(id, raw, cfg || {});
-  } catch(e){}
-  var v = (raw || 0) / 127;
-  if (v < 0) v = 0; else if (v > 1) v = 1;
-  return { apply: true, value: v };
+// Event bus 'feel' stage: bus.use('feel', feelStage)
+export function feelStage(ctx) {
+  var info = ctx && ctx.info;
+  if (info && info.type === 'cc' && !info.feel) handleCC(info);
 }
 
-// Centralized CC handler using FEEL (extend with more controls later)
+// Centralized CC handler: attaches info.feel = { id, kind, apply, value, norm } for routed CCs
 function handleCC(info) {
-  // Crossfader (absolute) on CC 0x10
-  if (info.controller === CC.XFADER) {
-    var cfg = feelCfg('xfader');
-    var out = feelAbs('xfader', info.value, cfg);
-    if (out && out.apply) {
-      try {
-        if (typeof dispatcher !== 'undefined' && dispatcher && dispatcher.emit) {
-          dispatcher.emit('xfader:set', out.value);
-        }
-      } catch(e){}
-    }
-    return;
+  var cur = currentFeel();
+  if (!cur.FEEL || !cur.FEEL_CFG) return;
+  if (ROUTES_CFG !== cur.FEEL_CFG) {
+    ROUTES = buildFeelRoutes(cur.FEEL_CFG);
+    ROUTES_CFG = cur.FEEL_CFG;
   }
-
-  // Add more here, e.g. filter/jog:
-  // if (info.controller === 0x11) { /* processRelative('filter', delta, cfg) */ }
-  // if (info.controller === 0x21) { /* processJog(delta, cfg) */ }
+  var out = applyFeel(cur.FEEL, cur.FEEL_CFG, ROUTES, info, ccValue127(info));
+  if (out) info.feel = out;
 }
 
 // ===================== internals (unchanged OG) =====================
 
-function exposeGlobals(access, input, onStatus, log, handler, stateHandler) {
+function exposeGlobals(access, ctl, onStatus, log) {
   if (typeof window === 'undefined') return;
   try {
     window.WebMIDIListInputs = function(){
@@ -260,37 +334,38 @@ function exposeGlobals(access, input, onStatus, log, handler, stateHandler) {
         return arr.map(function(i){ return i.name; });
       } catch(e){ return []; }
     };
+    // Replaces whatever is bound (single or several) with the chosen input
     window.WebMIDIChooseInput = function(name){
       try {
-        if (!access) return false;
+        if (!access || !ctl) return false;
         var arr  = toArray(access.inputs && access.inputs.values && access.inputs.values());
         var next = pickInput(arr, name || '');
         if (!next) { console.warn('[WebMIDI] No such input:', name); return false; }
-        try { if (input && input.onmidimessage === handler) input.onmidimessage = null; } catch(e){}
-        input = next;
-        input.onmidimessage = handler;
-        onStatus('listening:' + input.name);
-        log('[WebMIDI] Switched to:', input.name);
+        Array.from(ctl.bound.keys()).forEach(ctl.unbind);
+        ctl.bind(next);
+        ctl.report();
+        log('[WebMIDI] Switched to:', next.name);
         return true;
       } catch(e){ return false; }
     };
   } catch(e) {}
 }
 
-function makeHandle(access, input, onStatus, log, handler, stateHandler) {
+function makeHandle(access, ctl, onStatus, log) {
   return {
     get access(){ return access; },
-    get input(){ return input ? input.name : null; },
+    get input(){ return ctl && ctl.bound.size ? ctl.names()[0] : null; },
+    get inputs(){ return ctl ? ctl.names() : []; },
     listInputs: function(){
       var arr = toArray(access && access.inputs && access.inputs.values && access.inputs.values());
       return arr.map(function(i){ return i.name; });
     },
     stop: function(){
-      try { if (input && input.onmidimessage === handler) input.onmidimessage = null; } catch(e){}
+      if (ctl) Array.from(ctl.bound.keys()).forEach(ctl.unbind);
       try {
         if (access) {
-          if (typeof access.removeEventListener === 'function' && stateHandler) {
-            access.removeEventListener('statechange', stateHandler);
+          if (typeof access.removeEventListener === 'function' && ctl) {
+            access.removeEventListener('statechange', ctl.stateHandler);
           } else if ('onstatechange' in access) {
             access.onstatechange = null;
           }
@@ -313,23 +388,38 @@ function toArray(iter) {
 // Heuristic selection: exact → normalized fuzzy → IAC → Pioneer/DDJ/FLX → first
 function pickInput(inputs, wanted) {
   if (!inputs || !inputs.length) return null;
-  if (wanted) {
-    var exact = inputs.find(function(i){ return i.name === wanted; });
-    if (exact) return exact;
-    var w = norm(wanted);
-    var fuzzy = inputs.find(function(i){
-      var n = norm(i.name);
-      return (n === w) || (n.indexOf(w) >= 0) || (w.indexOf(n) >= 0);
-    });
-    if (fuzzy) return fuzzy;
-  }
   return (
+    matchName(inputs, wanted) ||
     inputs.find(function(i){ return /IAC/i.test(i.name) && /(Bridge|Bus)/i.test(i.name); }) ||
     inputs.find(function(i){ return /(Pioneer|DDJ|FLX)/i.test(i.name); }) ||
     inputs[0]
   );
 }
 
+// Output for LED feedback (src/led-feedback.js): exact → fuzzy → Pioneer/DDJ/FLX.
+// No IAC / first-port fallback — lighting the wrong device is worse than no LEDs.
+export function pickOutput(access, wanted) {
+  var outputs = toArray(access && access.outputs && access.outputs.values && access.outputs.values());
+  if (!outputs.length) return null;
+  return (
+    matchName(outputs, wanted) ||
+    outputs.find(function(o){ return /(Pioneer|DDJ|FLX)/i.test(o.name); }) ||
+    null
+  );
+}
+
+// exact → normalized fuzzy; null when nothing is wanted or nothing matches
+function matchName(ports, wanted) {
+  if (!ports || !ports.length || !wanted) return null;
+  var exact = ports.find(function(p){ return p.name === wanted; });
+  if (exact) return exact;
+  var w = norm(wanted);
+  return ports.find(function(p){
+    var n = norm(p.name);
+    return (n === w) || (n.indexOf(w) >= 0) || (w.indexOf(n) >= 0);
+  }) || null;
+}
+
 function norm(s) {
   s = String(s || '');
   try { s = s.normalize('NFKC'); } catch(e){}
@@ -339,29 +429,7 @@ function norm(s) {
   return s;
 }
 
-// Convert raw MIDI bytes → your app's info shape
-function decodeMIDI(data) {
-  if (!data || data.length < 2) return null;
-  var status = data[0];
-  var d1 = data[1] || 0;
-  var d2 = data[2] || 0;
-
-  var typeNibble = status & 0xF0;
-  var ch = (status & 0x0F) + 1;
-
-  if (typeNibble === 0x90) {               // NOTE ON (0 => OFF)
-    if (d2 === 0) return { type: 'noteoff', ch: ch, d1: d1, d2: 0, value: 0 };
-    return { type: 'noteon', ch: ch, d1: d1, d2: d2, value: d2 };
-  }
-  if (typeNibble === 0x80) {               // NOTE OFF
-    return { type: 'noteoff', ch: ch, d1: d1, d2: d2, value: 0 };
-  }
-  if (typeNibble === 0xB0) {               // CC
-    return { type: 'cc', ch: ch, controller: d1, value: d2, d1: d1, d2: d2 };
-  }
-  if (typeNibble === 0xE0) {               // PITCH BEND (14-bit)
-    var val = ((d2 << 7) | d1) - 8192;     // -8192..+8191
-    return { type: 'pitch', ch: ch, value: val };
-  }
-  return null;
+// Convert raw MIDI bytes → your app's info shape (see src/midi-decode.js for all types)
+function decodeMIDI(data, sysex) {
+  return decodeMIDIBytes(data, { sysex: !!sysex });
 }
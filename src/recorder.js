@@ -1,9 +1,14 @@
 // src/recorder.js
 // Simple record / playback for normalized "info" objects your app already uses.
-// It wraps window.consumeInfo so every event (WS + WebMIDI) can be captured,
-// exported to JSON, and later played back without hardware.
+// It subscribes to the event bus (src/events.js) so every event (WS + WebMIDI) can be
+// captured, exported to JSON, and later played back through the bus without hardware.
+// Also imports server NDJSON logs (server/midi-log.js) and Standard MIDI Files,
+// and exports takes as .mid for DAW / Mixxx analysis.
 
-let origConsume = null;
+import { parseSMF, writeSMF } from './midi-file.js';
+import { bus } from './events.js';
+
+let unsubscribe = null;
 
 function now() {
   // perf timer where available (stable relative clock)
@@ -15,8 +20,10 @@ function now() {
 function hashInfo(info) {
   // crude dedup hash to avoid double-capture if both WS and WebMIDI fire
   const t = (info.type || '').toLowerCase();
-  const code = t === 'cc' ? (info.controller ?? info.d1) : info.d1;
-  const v = t === 'cc' ? info.value : info.d2;
+  const code = t === 'cc' ? (info.controller ?? info.d1) : (info.d1 ?? 0);
+  const v = t === 'sysex' ? (info.bytes || []).join('.')
+    : (t === 'cc' || t === 'pitch' || t === 'aftertouch' || t === 'program') ? (info.value14 ?? info.value)
+    : info.d2;
   return `${t}|${info.ch}|${code}|${v}`;
 }
 
@@ -47,35 +54,18 @@ export function createRecorder() {
     state.events.push({ t, info: { ...info } }); // shallow clone
   }
 
-  // --- Your requested install() that waits for window.consumeInfo ---
+  // Sink on the event bus: sees every event after normalize/feel, in any install order
   function install() {
-    if (origConsume) return;
-    const tryWrap = () => {
-      if (typeof window !== 'undefined' && typeof window.consumeInfo === 'function') {
-        origConsume = window.consumeInfo;
-        window.consumeInfo = (info) => {
-          try { record(info); } catch {}
-          return origConsume(info);
-        };
-        console.log('%c[Recorder] installed – events flowing through will be capturable.', 'color:#6ea8fe');
-        return true;
-      }
-      return false;
-    };
-    if (!tryWrap()) {
-      const timer = setInterval(() => {
-        if (tryWrap()) clearInterval(timer);
-      }, 50);
-    }
+    if (unsubscribe) return;
+    unsubscribe = bus.subscribe('*', record, { name: 'recorder' });
+    console.log('%c[Recorder] installed – events flowing through will be capturable.', 'color:#6ea8fe');
   }
 
   function uninstall() {
-    // Restore original consume if we wrapped it
-    if (origConsume && typeof window !== 'undefined') {
-      window.consumeInfo = origConsume;
-      origConsume = null;
-      console.log('%c[Recorder] uninstalled (consume restored).', 'color:#6ea8fe');
-    }
+    if (!unsubscribe) return;
+    unsubscribe();
+    unsubscribe = null;
+    console.log('%c[Recorder] uninstalled.', 'color:#6ea8fe');
   }
 
   // Legacy helpers kept for completeness (no-ops if already wrapped)
@@ -83,7 +73,7 @@ export function createRecorder() {
   function unwrapConsume() { uninstall(); }
 
   function start({ dedupMs = 6 } = {}) {
-    if (!origConsume) install(); // ensure we’re wrapped
+    if (!unsubscribe) install(); // ensure we’re subscribed
     state.events.length = 0;
     state._recent.clear();
     state.dedupMs = dedupMs;
@@ -111,8 +101,13 @@ export function createRecorder() {
     );
   }
 
-  async function download(filename = 'take.json') {
-    const blob = new Blob([exportJSON()], { type: 'application/json' });
+  // Standard MIDI File: conductor track (tempo) + one track per MIDI channel.
+  // Times are quantized to the tick grid (480 PPQ @ 120 BPM ≈ 1 ms per tick).
+  function exportMIDI({ ppq = 480, bpm = 120 } = {}) {
+    return writeSMF(state.events, { ppq, bpm });
+  }
+
+  function saveBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.download = filename;
@@ -124,6 +119,14 @@ export function createRecorder() {
     console.log('%c[Recorder] Downloaded', 'color:#6ea8fe', filename);
   }
 
+  async function download(filename = 'take.json') {
+    saveBlob(new Blob([exportJSON()], { type: 'application/json' }), filename);
+  }
+
+  async function downloadMIDI(filename = 'take.mid', opts = {}) {
+    saveBlob(new Blob([exportMIDI(opts)], { type: 'audio/midi' }), filename);
+  }
+
   function loadFromObject(obj) {
     if (!obj || !Array.isArray(obj.events)) throw new Error('Bad recording object');
     state.events = obj.events.map(e => ({ t: +e.t || 0, info: { ...e.info } }));
@@ -136,16 +139,56 @@ export function createRecorder() {
     loadFromObject(obj);
   }
 
+  // Server log lines: { ts, room, sender, info } (one per line). Optional filters
+  // pick one room / sender out of a mixed log. Times are rebased to the first event.
+  function loadFromNDJSON(text, { room = null, sender = null } = {}) {
+    const rows = [];
+    for (const line of String(text).split('\n')) {
+      if (!line.trim()) continue;
+      let row; try { row = JSON.parse(line); } catch { continue; }
+      if (!row || !row.info || typeof row.info !== 'object') continue;
+      if (room != null && row.room !== room) continue;
+      if (sender != null && row.sender !== sender) continue;
+      const ts = Number(row.ts ?? row.t);
+      if (!Number.isFinite(ts)) continue;
+      rows.push({ ts, info: row.info });
+    }
+    if (!rows.length) throw new Error('No events in NDJSON log');
+    rows.sort((a, b) => a.ts - b.ts);
+    const t0 = rows[0].ts;
+    state.events = rows.map(r => ({ t: r.ts - t0, info: { ...r.info } }));
+    console.log('%c[Recorder] Loaded events (NDJSON):', 'color:#6ea8fe', state.events.length);
+  }
+
+  // Standard MIDI File (type 0/1); tick/tempo timing converted to ms
+  function loadFromMIDI(bytes) {
+    const smf = parseSMF(bytes);
+    if (!smf.events.length) throw new Error('No channel events in MIDI file');
+    state.events = smf.events.map(e => ({ t: e.t, info: { ...e.info } }));
+    console.log('%c[Recorder] Loaded events (MIDI):', 'color:#6ea8fe', state.events.length, `format ${smf.format}, ${smf.tracks} track(s)`);
+  }
+
+  // File picker helper: sniffs .mid / NDJSON / take JSON
+  async function loadFromFile(file) {
+    const name = String(file?.name || '').toLowerCase();
+    const buf = new Uint8Array(await file.arrayBuffer());
+    const isSMF = buf[0] === 0x4D && buf[1] === 0x54 && buf[2] === 0x68 && buf[3] === 0x64; // "MThd"
+    if (isSMF || /\.midi?$/.test(name)) return loadFromMIDI(buf);
+    const text = new TextDecoder().decode(buf);
+    if (/\.(ndjson|jsonl|log)$/.test(name)) return loadFromNDJSON(text);
+    try {
+      return loadFromObject(JSON.parse(text));
+    } catch {
+      return loadFromNDJSON(text); // multi-line JSON that isn't one object
+    }
+  }
+
   function stopPlayback() {
     state._playTimers.forEach(id => clearTimeout(id));
     state._playTimers.length = 0;
   }
 
   function play({ speed = 1.0, loop = false, onEvent = null } = {}) {
-    if (typeof window === 'undefined' || typeof window.consumeInfo !== 'function') {
-      console.warn('[Recorder] consumeInfo not ready – cannot play.');
-      return;
-    }
     stopPlayback();
     state.speed = speed;
     state.loop = loop;
@@ -164,7 +207,7 @@ export function createRecorder() {
       const tid = setTimeout(() => {
         try {
           if (state._onEvent) state._onEvent(info, idx);
-          window.consumeInfo(info);
+          bus.emit({ ...info }, { source: 'recorder' });
         } catch (e) {
           console.warn('[Recorder] playback error', e);
         }
@@ -188,7 +231,8 @@ export function createRecorder() {
     // record control
     start, stop, clear,
     // export/import
-    exportJSON, download, loadFromObject, loadFromText,
+    exportJSON, download, exportMIDI, downloadMIDI, loadFromObject, loadFromText,
+    loadFromNDJSON, loadFromMIDI, loadFromFile,
     // playback
     play, stopPlayback,
     // state access
@@ -0,0 +1,211 @@
+// src/simulator.js
+// On-screen DDJ-FLX6: drive the board SVG with the mouse/touch and emit the same
+// info objects WebMIDI would produce, using the unified map in reverse (target → MIDI).
+//
+// - Faders / tempo / crossfader: drag the cap along its rail → cc 0..127
+// - Knobs (trim/EQ/filter/MERGEFX/levels): vertical drag → cc 0..127
+// - Jogs: circular drag → cc in relative7 (1..63 = +steps, 65..127 = −steps)
+// - Pads / buttons: press → noteon 127, release → noteoff
+//
+// Controls are resolved per press from getMap(), so map updates (wizard, remote
+// map:sync) apply without re-attaching. Console: window.FLXSim.controls()
+
+const canon = (id) => String(id || '').replace(/_x5F_/g, '_');
+
+const isVertSlider = (id) => /^slider_(ch[1-4]|tempo_(l|r))$/i.test(id);
+const isXfader     = (id) => /^(xfader(_slider)?|crossfader)$/i.test(id);
+const isJog        = (id) => /^jog_/i.test(id);
+
+// target (canonical id) → { cc, noteon, noteoff } entries
+function buildReverseIndex(map) {
+  const byTarget = new Map();
+  for (const m of map || []) {
+    if (!m?.target) continue;
+    const type = String(m.type || (m.key || '').split(':')[0] || '').toLowerCase();
+    const [, kch, kcode] = String(m.key || '').split(':');
+    const ch = Number(m.ch ?? kch);
+    const code = Number(m.code ?? kcode);
+    if (!type || !Number.isFinite(ch) || !Number.isFinite(code)) continue;
+
+    const t = canon(m.target);
+    const slot = byTarget.get(t) || {};
+    // 14-bit pairs map MSB (0..31) and LSB (+32) to the same target: keep the MSB
+    if (type === 'cc') { if (!slot.cc || code < slot.cc.code) slot.cc = { ch, code }; }
+    else if (type === 'noteon' || type === 'noteoff') { if (!slot[type]) slot[type] = { ch, code }; }
+    byTarget.set(t, slot);
+  }
+  return byTarget;
+}
+
+// client point → element-local SVG coordinates
+function toLocal(el, clientX, clientY) {
+  const ctm = el.getScreenCTM?.();
+  if (!ctm) return { x: clientX, y: clientY };
+  const p = new DOMPoint(clientX, clientY).matrixTransform(ctm.inverse());
+  return { x: p.x, y: p.y };
+}
+
+function clamp7(v) { return Math.max(0, Math.min(127, Math.round(v))); }
+
+function relative7(steps) {
+  const s = Math.max(-63, Math.min(63, steps));
+  return s >= 0 ? s : 128 + s;
+}
+
+/**
+ * Attach the simulator to a rendered board.
+ * @param {{ svgRoot: SVGSVGElement, getMap: () => any[], emit: (info:object) => void,
+ *           knobDragPx?: number }} opts
+ * @returns {{ detach(): void, controls(): Array<object> }}
+ */
+export function attachSimulator({ svgRoot, getMap, emit, knobDragPx = 160 } = {}) {
+  if (!svgRoot) throw new Error('[Sim] svgRoot required');
+  if (typeof emit !== 'function') throw new Error('[Sim] emit(info) required');
+
+  const values = Object.create(null); // `${ch}:${code}` → last cc value sent
+  let drag = null;
+
+  function resolve(node) {
+    const index = buildReverseIndex(getMap?.() || []);
+    for (let el = node; el && el !== svgRoot; el = el.parentNode) {
+      const slot = el.id && index.get(canon(el.id));
+      if (slot) return { el, id: canon(el.id), slot };
+    }
+    return null;
+  }
+
+  function sendCC({ ch, code }, value) {
+    const k = `${ch}:${code}`;
+    if (values[k] === value) return;
+    values[k] = value;
+    emit({ type: 'cc', ch, controller: code, value, d1: code, d2: value });
+  }
+
+  function sendNote(slot, on) {
+    const n = on ? slot.noteon : (slot.noteoff || slot.noteon);
+    if (!n) return;
+    if (on) emit({ type: 'noteon', ch: n.ch, d1: n.code, d2: 127, value: 127 });
+    else emit({ type: 'noteoff', ch: n.ch, d1: n.code, d2: 0, value: 0 });
+  }
+
+  // Continuous control: work out how pointer motion maps to a value
+  function startContinuous(hit, ev) {
+    const { el, id, slot } = hit;
+    const p = toLocal(el, ev.clientX, ev.clientY);
+    const k = `${slot.cc.ch}:${slot.cc.code}`;
+
+    if (isVertSlider(id) && el.hasAttribute('data-minY')) {
+      const minY = parseFloat(el.getAttribute('data-minY'));
+      const maxY = parseFloat(el.getAttribute('data-maxY'));
+      const grab = p.y - parseFloat(el.getAttribute('y') || minY);
+      return (e) => {
+        const y = toLocal(el, e.clientX, e.clientY).y - grab;
+        return clamp7(127 * (maxY - y) / ((maxY - minY) || 1));
+      };
+    }
+    if (isXfader(id) && el.hasAttribute('data-minX')) {
+      const minX = parseFloat(el.getAttribute('data-minX'));
+      const maxX = parseFloat(el.getAttribute('data-maxX'));
+      const grab = p.x - parseFloat(el.getAttribute('x') || minX);
+      return (e) => {
+        const x = toLocal(el, e.clientX, e.clientY).x - grab;
+        return clamp7(127 * (x - minX) / ((maxX - minX) || 1));
+      };
+    }
+    if (isJog(id)) {
+      const r = el.getBoundingClientRect();
+      const cx = r.left + r.width / 2, cy = r.top + r.height / 2;
+      const degPerStep = Number(el.getAttribute('data-deg-per-step') || 2.5);
+      const angleOf = (e) => Math.atan2(e.clientY - cy, e.clientX - cx) * 180 / Math.PI;
+      let last = angleOf(ev);
+      let carry = 0;
+      return (e) => {
+        const a = angleOf(e);
+        let d = a - last;
+        if (d > 180) d -= 360;
+        if (d < -180) d += 360;
+        last = a;
+        carry += d / degPerStep;
+        const steps = Math.trunc(carry);
+        if (!steps) return null;
+        carry -= steps;
+        return { relative: relative7(steps) };
+      };
+    }
+    // Knobs and anything else on a cc: vertical drag, up = more
+    const start = values[k] ?? 64;
+    const y0 = ev.clientY;
+    return (e) => clamp7(start + (y0 - e.clientY) * 127 / knobDragPx);
+  }
+
+  function onDown(ev) {
+    if (ev.button != null && ev.button !== 0) return;
+    const hit = resolve(ev.target);
+    if (!hit) return;
+    ev.preventDefault();
+    try { svgRoot.setPointerCapture(ev.pointerId); } catch {}
+
+    if (hit.slot.cc) {
+      const valueAt = startContinuous(hit, ev);
+      drag = { hit, valueAt, pointerId: ev.pointerId };
+      // a jog press also counts as touch when the map has one
+      if (isJog(hit.id)) sendNote(hit.slot, true);
+      else {
+        const v = valueAt(ev);
+        if (typeof v === 'number') sendCC(hit.slot.cc, v);
+      }
+    } else if (hit.slot.noteon || hit.slot.noteoff) {
+      drag = { hit, pointerId: ev.pointerId };
+      sendNote(hit.slot, true);
+    }
+  }
+
+  function onMove(ev) {
+    if (!drag || ev.pointerId !== drag.pointerId || !drag.valueAt) return;
+    const v = drag.valueAt(ev);
+    if (v == null) return;
+    const { cc } = drag.hit.slot;
+    if (typeof v === 'number') sendCC(cc, v);
+    // relative values repeat, so they bypass the change filter
+    else emit({ type: 'cc', ch: cc.ch, controller: cc.code, value: v.relative, d1: cc.code, d2: v.relative });
+  }
+
+  function onUp(ev) {
+    if (!drag || ev.pointerId !== drag.pointerId) return;
+    const { hit } = drag;
+    drag = null;
+    try { svgRoot.releasePointerCapture(ev.pointerId); } catch {}
+    if (!hit.slot.cc || isJog(hit.id)) sendNote(hit.slot, false);
+  }
+
+  svgRoot.addEventListener('pointerdown', onDown);
+  svgRoot.addEventListener('pointermove', onMove);
+  svgRoot.addEventListener('pointerup', onUp);
+  svgRoot.addEventListener('pointercancel', onUp);
+  svgRoot.style.touchAction = 'none';
+
+  function controls() {
+    const index = buildReverseIndex(getMap?.() || []);
+    return [...index].map(([target, s]) => ({
+      target,
+      cc: s.cc ? `cc:${s.cc.ch}:${s.cc.code}` : '',
+      note: s.noteon ? `noteon:${s.noteon.ch}:${s.noteon.code}` : '',
+      inSvg: !!svgRoot.querySelector(`[id="${target}"], [id="${target.replace(/_/g, '_x5F_')}"]`),
+    }));
+  }
+
+  function detach() {
+    svgRoot.removeEventListener('pointerdown', onDown);
+    svgRoot.removeEventListener('pointermove', onMove);
+    svgRoot.removeEventListener('pointerup', onUp);
+    svgRoot.removeEventListener('pointercancel', onUp);
+    drag = null;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.FLXSim = { controls: () => { const c = controls(); console.table(c); return c; }, detach };
+  }
+  return { detach, controls };
+}
+
+export default { attachSimulator };
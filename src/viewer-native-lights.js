@@ -2,7 +2,9 @@
 // Native-style lights for the Viewer: turns mapped targets "on" and "off"
 // based on incoming MIDI, without any overlay. Works on <g> and normal shapes.
 
-import { getUnifiedMap } from '/src/board.js';
+import { getMapIndex } from '/src/board.js';
+import { targetsForInfo } from '/src/mapper.js';
+import { bus } from '/src/events.js';
 
 // use the page's normalizer
 const norm = (obj) => (typeof window.normalizeInfo === 'function' ? window.normalizeInfo(obj) : obj);
@@ -60,7 +62,8 @@ function lightOff(el) {
 const activeByKey = new Map();
 
 // Apply lights for a single event against the current unified map.
-async function applyLightsFor(info) {
+// targets: the bus's map-resolve result (src/events.js); looked up here when called directly
+async function applyLightsFor(info, targets) {
   const i = norm(info);
   const type = String(i?.type || '').toLowerCase();
   const ch   = Number(i?.ch ?? 1);
@@ -68,13 +71,8 @@ async function applyLightsFor(info) {
   const vel  = Number(i?.velocity ?? i?.d2 ?? i?.value ?? 0);
   const key  = `${type}:${ch}:${code}`;
 
-  const map = await getUnifiedMap();
-
-  // Find targets mapped to this key
-  const matches = map.filter(m =>
-    (m.key && m.key === key && m.target) ||
-    (!m.key && m.type === type && m.ch === ch && m.code === code && m.target)
-  );
+  // Targets mapped to this key (board's key → entries index)
+  const matches = targets || targetsForInfo(getMapIndex(), { type, ch, d1: code, controller: code });
 
   if (!matches.length) return;
 
@@ -114,19 +112,16 @@ function clearAll() {
   activeByKey.clear();
 }
 
-// Install: wrap the viewer's consumer so lights run on every event
+// Install: render-stage plugin on the event bus (src/events.js), after board.js
 (function install() {
   if (window.__NATIVE_LIGHTS_WRAP__) return;
-  if (typeof window.consumeInfo !== 'function') return console.warn('[viewer-native-lights] consumeInfo missing');
   window.__NATIVE_LIGHTS_WRAP__ = true;
 
-  const orig = window.consumeInfo;
-  window.consumeInfo = function(info) {
-    const ret = orig.apply(this, arguments);
+  bus.use('render', (ctx) => {
+    const { info, targets } = ctx;
     // schedule microtask so board.js can finish any own work first
-    Promise.resolve().then(() => applyLightsFor(info));
-    return ret;
-  };
+    Promise.resolve().then(() => applyLightsFor(info, targets));
+  }, { name: 'native-lights' });
 
   // also unlight everything on navigation away
   window.addEventListener('beforeunload', clearAll);
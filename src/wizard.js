@@ -69,7 +69,7 @@ function saveLearned(arr) {
 
 function upsertLearned(entry) {
   const key = entry.key || makeKey(entry);
-  const curr = loadLearned().filter(m => (m.key || makeKey(m)) !== key);
+  const curr = loadLearned().filter(m => (m.key || makeKey(m)) !== key || (m.device || '') !== (entry.device || ''));
   curr.push({ ...entry, key });
   saveLearned(curr);
 }
@@ -90,7 +90,7 @@ function downloadJSON(name, data) {
 // MIDI helpers
 // ------------------------------
 function makeKey(info) {
-  // Normalize to cc:ch:code | noteon/off:ch:d1 | pitch:ch
+  // Normalize to cc:ch:code | noteon/off:ch:d1 | pitch/aftertouch:ch:0 | program:ch:n
   const t = (info.type||'').toLowerCase();
   const ch = info.ch;
   const code = t === 'cc' ? (info.controller ?? info.d1)
@@ -694,19 +694,19 @@ function onLearn(info, svg) {
   // If previous exists and target differs
   if (prev && prev.target !== CURRENT_TARGET) {
     if (AUTO_REPLACE) {
-      upsertLearned({ key, target: CURRENT_TARGET, name: CURRENT_TARGET, type: info.type, ch: info.ch, code: (info.controller ?? info.d1), sensitivity: sens });
+      upsertLearned({ key, target: CURRENT_TARGET, name: CURRENT_TARGET, type: info.type, ch: info.ch, code: Number(key.split(':')[2]), sensitivity: sens, device: info.device });
       toast(`Replaced: ${key}\n${prev.target} → ${CURRENT_TARGET}`);
     } else {
       const ok = confirm(
         `Duplicate MIDI key:\n${key}\n\nAlready mapped to: ${prev.target}\nNew target: ${CURRENT_TARGET}\n\nReplace it?`
       );
       if (!ok) return;
-      upsertLearned({ key, target: CURRENT_TARGET, name: CURRENT_TARGET, type: info.type, ch: info.ch, code: (info.controller ?? info.d1), sensitivity: sens });
+      upsertLearned({ key, target: CURRENT_TARGET, name: CURRENT_TARGET, type: info.type, ch: info.ch, code: Number(key.split(':')[2]), sensitivity: sens, device: info.device });
       toast(`Replaced: ${key}\n${prev.target} → ${CURRENT_TARGET}`);
     }
   } else {
     // brand new
-    upsertLearned({ key, target: CURRENT_TARGET, name: CURRENT_TARGET, type: info.type, ch: info.ch, code: (info.controller ?? info.d1), sensitivity: sens });
+    upsertLearned({ key, target: CURRENT_TARGET, name: CURRENT_TARGET, type: info.type, ch: info.ch, code: Number(key.split(':')[2]), sensitivity: sens, device: info.device });
     toast(`Mapped: ${key} → ${CURRENT_TARGET}`);
   }
 
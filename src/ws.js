@@ -4,19 +4,25 @@
 //
 // Public API (unchanged core, plus optional callback):
 //   connectWS('ws://...', onInfo, onStatus)
-//   connectWS({ url, role, room='default', onInfo, onStatus, onMessage }) -> client
+//   connectWS({ url, role, room='default', token, onInfo, onStatus, onMessage }) -> client
 //
 // Returned client exposes:
-//   { url, socket, isAlive(), send(obj), sendMap(arr), close() }
+//   { url, socket, isAlive(), isUnauthorized(), send(obj), sendMap(arr), close() }
 //
 // Notes:
 // - Keeps original behavior: host-only send() wraps {type:'midi_like', payload:...}
 // - Viewers dispatch 'flx:remote-map' on map updates
 //   * Back-compat: legacy {type:'map_sync', payload:[...]} (old relays)
 //   * New server:  {type:'map:sync', map:[...]}
+// - Viewers dispatch 'flx:state-snapshot' with the server's live control state
+//   ({type:'state:snapshot', controls, notes, jogs}; board.js applyStateSnapshot)
+// - Viewers dispatch 'flx:host-active' when the room's active host changes
+//   ({type:'host:active', active, standby, reason}; also kept in window.__activeHost)
 // - Normalizes MIDI events and calls FLX_LEARN_HOOK / FLX_MONITOR_HOOK
 // - Adds candidate path probing and reconnection backoff
 // - Adds periodic ping frames and optional idle-kill safety timer
+// - Sends ?token= for token-protected rooms; a 4401 close reports 'unauthorized'
+//   and stops reconnecting (retrying with the same token cannot succeed)
 //
 // Server expectations (new bridge):
 // - Broadcasts host frames as: { type:'info', payload: <whatever host sent> }
@@ -31,6 +37,8 @@ const RECONNECT_MAX_MS = 10000;
 // IMPORTANT: with a WS server doing protocol-level ping/pong, idle-kill can cause flapping.
 // Keep feature but default to off (0). Set to >0 only if you truly want it.
 const IDLE_KILL_MS = 0;
+// Server close code for a missing/wrong room token (server/auth.js)
+const CLOSE_UNAUTHORIZED = 4401;
 
 // --- NEW: tiny helpers for map presence/fallback gating ---
 function markMapApplied() {
@@ -78,6 +86,7 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
   const onStatus  = opts?.onStatus || (()=>{});
   const role      = (opts?.role || 'viewer').toLowerCase();
   const room      = opts?.room || DEFAULT_ROOM;
+  const token     = opts?.token || undefined;
   const onMessage = opts?.onMessage; // generic message surface
 
   // Resolve base URL (respect window.WS_URL like original guidance)
@@ -93,6 +102,7 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
   let chosen = null;         // { ws, url }
   let reconnectAttempts = 0;
   let closedByUs = false;
+  let unauthorized = false;
 
   // Timers
   let pingTimer = null;
@@ -103,6 +113,7 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
     url: undefined,
     socket: undefined,
     isAlive: ()=> !!client.socket && client.socket.readyState === WebSocket.OPEN,
+    isUnauthorized: ()=> unauthorized,
 
     // Host-only: send MIDI-like info to bridge, wrapped as {type:'midi_like', payload}
     send: (info)=>{
@@ -140,6 +151,12 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
 
   function setStatus(s){ try { onStatus(s); } catch {} }
 
+  function markUnauthorized(){
+    unauthorized = true;
+    setStatus('unauthorized');
+    log('room rejected token; not reconnecting');
+  }
+
   function clearPing(){ if (pingTimer) { clearInterval(pingTimer); pingTimer=null; } }
   function clearIdle(){ if (idleTimer) { clearTimeout(idleTimer); idleTimer=null; } }
 
@@ -216,6 +233,13 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
         info = parsed.payload;
       }
 
+      // Host frames arrive double-wrapped: {type:'info', payload:{type:'midi_like', payload:{...}}}
+      for (let i = 0; i < 3 && info && typeof info === 'object'; i++) {
+        const t = String(info.type || '').toLowerCase();
+        if ((t === 'midi_like' || t === 'info') && info.payload && typeof info.payload === 'object') info = info.payload;
+        else break;
+      }
+
       // Existing MIDI handling stays
       if (info) {
         const norm = normalizeInfo(info);
@@ -234,18 +258,28 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
         else if (parsed?.type === 'map_sync' && Array.isArray(parsed.payload)) {
           applyMap(parsed.payload);
         }
+        // Live control state for late joiners (sent right after map:sync)
+        else if (parsed?.type === 'state:snapshot') {
+          try { window.dispatchEvent(new CustomEvent('flx:state-snapshot', { detail: parsed })); } catch {}
+        }
+        // Which host in the room is live (server/host-arbiter.js)
+        else if (parsed?.type === 'host:active') {
+          try { window.__activeHost = parsed.active; } catch {}
+          try { window.dispatchEvent(new CustomEvent('flx:host-active', { detail: parsed })); } catch {}
+        }
       }
 
       // Surface everything to optional generic handler (fires after onInfo pipeline)
       try { onMessage && onMessage(parsed); } catch {}
     });
 
-    ws.addEventListener('close', ()=>{
+    ws.addEventListener('close', (ev)=>{
       clearPing();
       clearIdle();
       client.socket = undefined;
       client.url    = undefined;
       if (closedByUs) return; // don’t reconnect if caller closed explicitly
+      if (ev?.code === CLOSE_UNAUTHORIZED) { markUnauthorized(); return; }
       setStatus('closed');
 
       // reconnect with capped exponential backoff
@@ -263,7 +297,7 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
 
     const path = PATH_CANDIDATES[index];
     const urlWithPath = base + path;
-    const url = addQuery(urlWithPath, { role, room });
+    const url = addQuery(urlWithPath, { role, room, token });
 
     let settled = false;
     let settleTimer = null;
@@ -283,8 +317,14 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
       }, SETTLE_MS);
     });
 
-    ws.addEventListener('close', ()=>{
+    ws.addEventListener('close', (ev)=>{
       clearTimeout(settleTimer);
+      if (!settled && ev?.code === CLOSE_UNAUTHORIZED) {
+        // the path is right, the token is not — stop probing
+        settled = true;
+        onDone({ unauthorized: true });
+        return;
+      }
       if (!settled) {
         // try next candidate
         tryOne(index+1, onDone);
@@ -300,7 +340,7 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
     // If we already have a chosen path, reuse it first
     if (chosen && chosen.url) {
       try {
-        const ws = new WebSocket(addQuery(chosen.url, { role, room }));
+        const ws = new WebSocket(addQuery(chosen.url, { role, room, token }));
         wireSocket(ws, chosen.url);
         return;
       } catch {}
@@ -308,6 +348,7 @@ export function connectWS(urlOrOpts = 'ws://localhost:8787', onInfoPos = () => {
 
     // Otherwise, probe candidates until one stays open briefly
     tryOne(0, (winner)=>{
+      if (winner?.unauthorized) { markUnauthorized(); return; }
       if (!winner) {
         setStatus('closed'); // none stayed open — keep trying later
         const wait = Math.min(RECONNECT_BASE_MS * Math.pow(2, reconnectAttempts++), RECONNECT_MAX_MS);
@@ -362,6 +403,7 @@ function looksLikeMidi(o) {
   if (!o || typeof o !== 'object') return false;
   const t = typeof o.type === 'string' ? o.type.toLowerCase() : '';
   if (t === 'cc' || t === 'noteon' || t === 'noteoff' || t === 'pitch' || t === 'midi' || t === 'midi_like' || t === 'info') return true;
+  if (t === 'aftertouch' || t === 'polyaftertouch' || t === 'program' || t === 'sysex') return true;
   // also accept objects that clearly look like MIDI (channel + code/value fields)
   if ((o.ch != null || o.channel != null || o.chan != null || o.port != null) &&
       (o.controller != null || o.note != null || o.d1 != null)) return true;
@@ -369,7 +411,19 @@ function looksLikeMidi(o) {
 }
 
 // Brings different incoming MIDI shapes to a single {type,ch,d1,d2,...}
+// and keeps the controller's device tag (src/devices.js) and the host's feel result
+// (src/feel-routes.js) so viewers draw the same curves
 function normalizeInfo(p){
+  const out = shapeInfo(p);
+  if (out && typeof out === 'object') {
+    if (p.device && !out.device) out.device = String(p.device);
+    if (p.feel && typeof p.feel === 'object' && !out.feel) out.feel = p.feel;
+    if (Number.isFinite(p.ts) && out.ts == null) out.ts = p.ts; // host send time, server clock (src/clock.js)
+  }
+  return out;
+}
+
+function shapeInfo(p){
   if (!p || typeof p !== 'object') return p;
   const type = String(p.type || '').toLowerCase();
   const ch   = Number(p.ch || p.channel || p.chan || p.port || 1);
@@ -381,14 +435,33 @@ function normalizeInfo(p){
 
   if (type === 'cc') {
     const d1 = Number(controller), d2 = Number(value);
-    return { type, ch, controller: d1, value: d2, d1, d2 };
+    const out = { type, ch, controller: d1, value: d2, d1, d2 };
+    // keep 14-bit pairing fields (src/cc14.js)
+    if (p.value14 != null) { out.lsb = Number(p.lsb ?? 0); out.value14 = Number(p.value14); out.norm = out.value14 / 16383; out.hires = true; }
+    return out;
   }
   if (type === 'noteon' || type === 'noteoff') {
     const d1 = Number(note), d2 = Number(value);
     return { type, ch, d1, d2, value: d2 };
   }
   if (type === 'pitch') {
-    return { type, ch, value: Number(value) };
+    const v = Number(p.value ?? (p.value14 != null ? p.value14 - 8192 : 0));
+    return { type, ch, value: v, value14: Number(p.value14 ?? v + 8192) };
+  }
+  if (type === 'aftertouch') {
+    return { type, ch, value: Number(p.value ?? p.pressure ?? p.d1 ?? 0) };
+  }
+  if (type === 'polyaftertouch') {
+    const d1 = Number(note), d2 = Number(p.d2 ?? p.pressure ?? p.value ?? 0);
+    return { type, ch, d1, d2, value: d2 };
+  }
+  if (type === 'program') {
+    const d1 = Number(p.d1 ?? p.program ?? p.number ?? p.value ?? 0);
+    return { type, ch, d1, value: d1 };
+  }
+  if (type === 'sysex') {
+    const bytes = Array.isArray(p.bytes) ? p.bytes.map(Number) : [];
+    return { type, ch: 0, d1: Number(p.d1 ?? bytes[1] ?? 0), bytes };
   }
   // fallback pass-through (but lowercased type and numeric ch)
   return { ...p, type, ch };
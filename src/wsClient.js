@@ -19,7 +19,9 @@ export function connectWS({ url, role, onInfo, onStatus }) {
 
     ws.addEventListener('open', () => status('open'));
 
-    ws.addEventListener('close', () => {
+    ws.addEventListener('close', (ev) => {
+      // 4401 = room token rejected (server/auth.js); retrying cannot succeed
+      if (ev?.code === 4401) { closed = true; status('unauthorized'); return; }
       if (!closed) {
         status('closed');
         setTimeout(() => { if (!closed) open(); }, RETRY_MS);
@@ -0,0 +1,62 @@
+// tests/cc14.test.js (ESM)
+// 14-bit MSB/LSB CC pairing (src/cc14.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCC14Pairer, ccValue127 } from '../src/cc14.js';
+
+const cc = (ch, controller, value) => ({ type: 'cc', ch, controller, value, d1: controller, d2: value });
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function collect(opts) {
+  const out = [];
+  const pairer = createCC14Pairer({ holdMs: 20, ...opts, onInfo: (i) => out.push(i) });
+  return { out, pairer };
+}
+
+test('adjacent MSB then LSB confirms the pair and later moves merge', () => {
+  const { out, pairer } = collect();
+  pairer.push(cc(1, 19, 64));     // first MSB: unknown yet, passes through
+  pairer.push(cc(1, 51, 10));     // LSB right after: pair confirmed, refined position
+  pairer.push(cc(1, 19, 65));     // held...
+  pairer.push(cc(1, 51, 127));    // ...merged with its LSB
+  assert.equal(out.length, 3);
+  assert.deepEqual(out[0], cc(1, 19, 64));
+  assert.equal(out[1].value14, (64 << 7) | 10);
+  assert.deepEqual(out[2], { ...cc(1, 19, 65), lsb: 127, value14: (65 << 7) | 127, norm: ((65 << 7) | 127) / 16383, hires: true });
+  assert.deepEqual(pairer.pairs(), ['1:19']);
+});
+
+test('held MSB is flushed on its own when the LSB never comes', async () => {
+  const { out, pairer } = collect({ pairs: ['7:31'] });
+  pairer.push(cc(7, 31, 100));
+  assert.equal(out.length, 0);
+  await sleep(40);
+  assert.equal(out.length, 1);
+  assert.equal(out[0].value14, 100 << 7);
+});
+
+test('unpaired CCs, notes and far-apart LSBs pass through untouched', async () => {
+  const { out, pairer } = collect();
+  const note = { type: 'noteon', ch: 1, d1: 11, d2: 127, value: 127 };
+  pairer.push(cc(1, 64, 5));
+  pairer.push(note);
+  pairer.push(cc(2, 4, 30));
+  await sleep(40);
+  pairer.push(cc(2, 36, 30));     // too late to count as 4's LSB
+  assert.deepEqual(out, [cc(1, 64, 5), note, cc(2, 4, 30), cc(2, 36, 30)]);
+});
+
+test('auto:false only pairs the configured controllers', () => {
+  const { out, pairer } = collect({ auto: false, pairs: ['1:0'] });
+  pairer.push(cc(1, 0, 1)); pairer.push(cc(1, 32, 2));
+  pairer.push(cc(1, 19, 3)); pairer.push(cc(1, 51, 4));
+  assert.deepEqual(out.map(i => i.value14 ?? null), [130, null, null]);
+});
+
+test('ccValue127 prefers the 14-bit value', () => {
+  assert.equal(ccValue127(cc(1, 19, 64)), 64);
+  assert.equal(ccValue127({ ...cc(1, 19, 127), value14: 16383 }), 127);
+  assert.ok(Math.abs(ccValue127({ ...cc(1, 19, 64), value14: 8192 }) - 63.5) < 0.01);
+});
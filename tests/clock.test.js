@@ -0,0 +1,50 @@
+// tests/clock.test.js (ESM)
+// NTP-style clock offset and latency / jitter percentiles (src/clock.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ntpSample, percentile, createClock, createLatencyStats } from '../src/clock.js';
+
+test('ntpSample: offset and rtt from the four timestamps', () => {
+  // client is 100 ms behind the server, 10 ms each way, 2 ms server turnaround
+  assert.deepEqual(ntpSample(1000, 1110, 1112, 1022), { offset: 100, rtt: 20 });
+  // asymmetric path: error is half the asymmetry
+  assert.deepEqual(ntpSample(0, 130, 130, 40), { offset: 110, rtt: 40 });
+});
+
+test('clock keeps the lowest-rtt sample and maps local time onto the server clock', () => {
+  let local = 5000;
+  const sent = [];
+  const clock = createClock({ send: (m) => sent.push(m), now: () => local });
+  assert.equal(clock.synced, false);
+  assert.equal(clock.now(), 5000);
+
+  // server runs 250 ms ahead; first exchange queued (60 ms each way), second clean (5 ms)
+  clock.ping();
+  local += 120;
+  assert.equal(clock.onMessage({ type: 'clock:pong', t0: sent[0].t0, t1: 5310, t2: 5310 }), true);
+  clock.ping();
+  local += 10;
+  clock.onMessage({ type: 'clock:pong', t0: sent[1].t0, t1: 5375, t2: 5375 });
+
+  assert.equal(clock.rtt, 10);
+  assert.equal(clock.offset, 250);
+  assert.equal(clock.now(), local + 250);
+  assert.equal(clock.onMessage({ type: 'probe', id: 'x' }), false);
+});
+
+test('latency stats: percentiles over the window, jitter from consecutive deltas', () => {
+  const stats = createLatencyStats({ size: 100 });
+  for (let i = 1; i <= 100; i++) stats.add(i % 2 ? 20 : 30); // 20,30,20,30… → jitter 10
+  stats.add(Number.NaN);
+  const s = stats.summary();
+  assert.equal(s.n, 100);
+  assert.deepEqual([s.p50, s.p95, s.p99, s.max], [20, 30, 30, 30]);
+  assert.deepEqual(s.jitter, { p50: 10, p95: 10, p99: 10 });
+
+  assert.equal(percentile([], 50), null);
+  assert.equal(percentile([1, 2, 3, 4], 50), 2);
+  stats.reset();
+  assert.equal(stats.summary().n, 0);
+});
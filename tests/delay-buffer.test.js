@@ -0,0 +1,65 @@
+// tests/delay-buffer.test.js (ESM)
+// Viewer stream-delay / jitter buffer: release at host ts + delay, order kept (src/delay-buffer.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createDelayBuffer, clampDelay } from '../src/delay-buffer.js';
+
+function setup(delayMs) {
+  const clock = { t: 10000 };
+  const out = [];
+  const buf = createDelayBuffer({ delayMs, now: () => clock.t, deliver: (i) => out.push(i.id) });
+  return { clock, out, buf };
+}
+
+test('holds infos until host ts + delay; network jitter does not change the spacing', () => {
+  const { clock, out, buf } = setup(500);
+  // host sent a/b/c 20 ms apart; they arrive bunched after 40 / 90 / 95 ms in flight
+  clock.t = 10040; buf.push({ id: 'a', ts: 10000 });
+  clock.t = 10110; buf.push({ id: 'b', ts: 10020 });
+  clock.t = 10135; buf.push({ id: 'c', ts: 10040 });
+  buf.push({ id: 'bridge' }); // no ts: timed from arrival
+
+  clock.t = 10499; buf.pump();
+  assert.deepEqual(out, []);
+  clock.t = 10500; buf.pump();
+  assert.deepEqual(out, ['a']);
+  clock.t = 10540; buf.pump();
+  assert.deepEqual(out, ['a', 'b', 'c']);
+  assert.equal(buf.stats().held, 1);
+  clock.t = 10635; buf.pump();
+  assert.deepEqual(buf.stats(), { delayMs: 500, held: 0, released: 4, late: 0 });
+  buf.clear();
+});
+
+test('late and out-of-step infos keep arrival order; clock jumps do not stall the queue', () => {
+  const { clock, out, buf } = setup(200);
+  buf.push({ id: 'on', ts: 9990 });      // due 10190
+  buf.push({ id: 'off', ts: 9700 });     // already late, but must not overtake 'on'
+  clock.t = 10190; buf.pump();
+  assert.deepEqual(out, ['on', 'off']);
+  assert.equal(buf.stats().late, 1);
+
+  buf.push({ id: 'future', ts: 99999 }); // host clock far ahead: capped at arrival + delay
+  clock.t = 10390; buf.pump();
+  assert.deepEqual(out.slice(2), ['future']);
+  buf.clear();
+});
+
+test('delay 0 passes straight through; lowering to 0 releases what is held', () => {
+  const { clock, out, buf } = setup(0);
+  buf.push({ id: 'x', ts: clock.t });
+  assert.deepEqual(out, ['x']);
+
+  buf.setDelay(1000);
+  buf.push({ id: 'y', ts: clock.t });
+  assert.deepEqual(out, ['x']);
+  buf.setDelay(0);
+  assert.deepEqual(out, ['x', 'y']);
+
+  assert.equal(clampDelay('1500'), 1500);
+  assert.equal(clampDelay(-5), 0);
+  assert.equal(clampDelay(1e9), 10000);
+  assert.equal(clampDelay('soon'), 0);
+});
@@ -0,0 +1,37 @@
+// tests/devices.test.js (ESM)
+// Device registry lookups and the device tag through the server normalizer.
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { DEVICES, deviceForName, resolveDevice, entryMatchesDevice } from '../src/devices.js';
+import { normalizeInfo } from '../server/info.js';
+
+test('port names and ids resolve to registry entries', () => {
+  assert.equal(deviceForName('DDJ-FLX6').id, 'flx6');
+  assert.equal(deviceForName('DDJ-FLX4 MIDI 1').id, 'flx4');
+  assert.equal(deviceForName('Launchpad Mini MK3 LPMiniMK3 MIDI').id, 'launchpad');
+  assert.equal(deviceForName('IAC Driver Bus 1'), null);
+  assert.equal(resolveDevice('FLX4').id, 'flx4');
+  assert.equal(resolveDevice('launchpad').feel, '/maps/default-feel.json');
+});
+
+test('untagged map entries belong to every board, tagged ones to theirs', () => {
+  assert.ok(entryMatchesDevice({ key: 'noteon:1:11' }, 'flx6'));
+  assert.ok(entryMatchesDevice({ key: 'noteon:1:11', device: 'launchpad' }, 'launchpad'));
+  assert.ok(!entryMatchesDevice({ key: 'noteon:1:11', device: 'launchpad' }, 'flx6'));
+});
+
+test('device tag survives host relay envelopes', () => {
+  const info = normalizeInfo({ type: 'midi_like', payload: { type: 'noteon', ch: 1, d1: 11, d2: 127, device: 'launchpad' } });
+  assert.deepEqual(info, { type: 'noteon', ch: 1, d1: 11, d2: 127, value: 127, device: 'launchpad' });
+});
+
+test('every registry map ships entries for its own device', () => {
+  for (const d of DEVICES) {
+    const map = JSON.parse(fs.readFileSync(new URL(`../${d.map.replace(/^\.\//, '')}`, import.meta.url), 'utf8'));
+    assert.ok(map.length > 0, `${d.map} is empty`);
+    assert.ok(map.every(e => entryMatchesDevice(e, d.id)), `${d.map} has entries for another device`);
+  }
+});
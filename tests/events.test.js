@@ -0,0 +1,78 @@
+// tests/events.test.js (ESM)
+// Event bus stages, sinks and error isolation (src/events.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createBus, mapResolver } from '../src/events.js';
+
+const note = { type: 'noteon', ch: 1, d1: 11, d2: 127, value: 127 };
+
+test('stages run in pipeline order regardless of registration order', () => {
+  const bus = createBus();
+  const seen = [];
+  bus.subscribe('*', () => seen.push('sink'));
+  bus.use('render', () => seen.push('render'));
+  bus.use('map-resolve', () => seen.push('map-resolve'));
+  bus.use('feel', () => seen.push('feel'));
+  bus.use('normalize', (ctx) => { seen.push('normalize'); ctx.info = { ...ctx.info, normalized: true }; });
+
+  const ctx = bus.emit(note);
+  assert.deepEqual(seen, ['normalize', 'feel', 'map-resolve', 'render', 'sink']);
+  assert.equal(ctx.info.normalized, true);
+  assert.throws(() => bus.use('paint', () => {}), /unknown stage/);
+});
+
+test('returning false drops the event; a throwing handler does not stop the others', () => {
+  const bus = createBus();
+  const rendered = [];
+  bus.use('normalize', (ctx) => (ctx.info.type === 'sysex' ? false : undefined));
+  bus.use('render', () => { throw new Error('boom'); }, { name: 'broken' });
+  bus.use('render', (ctx) => rendered.push(ctx.info.type));
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(bus.emit({ type: 'sysex', ch: 0, d1: 0x7E, bytes: [] }), null);
+    bus.emit(note);
+    bus.emit(note);
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepEqual(rendered, ['noteon', 'noteon']);
+  assert.match(bus.list().find(s => s.stage === 'render').handlers[0], /broken \(2 errors\)/);
+});
+
+test('typed subscriptions, unsubscribe and map-resolve targets', () => {
+  const bus = createBus();
+  const ccs = [], all = [];
+  const offCC = bus.subscribe('cc', (info) => ccs.push(info.controller));
+  const onAll = (info, ctx) => all.push(ctx.targets.map(t => t.target));
+  bus.subscribe('*', onAll);
+  bus.use('map-resolve', mapResolver(() => [
+    { key: 'noteon:1:11', target: 'play_L' },
+    { type: 'noteon', ch: 1, code: 11, target: 'play_L_ring' },
+    { key: 'cc:1:19', target: 'slider_ch1' },
+  ]));
+
+  bus.emit({ type: 'cc', ch: 1, controller: 19, value: 5, d1: 19, d2: 5 });
+  bus.emit(note);
+  offCC();
+  assert.equal(bus.unsubscribe(onAll), true);
+  bus.emit({ type: 'cc', ch: 1, controller: 20, value: 5, d1: 20, d2: 5 });
+
+  assert.deepEqual(ccs, [19]);
+  assert.deepEqual(all, [['slider_ch1'], ['play_L', 'play_L_ring']]);
+});
+
+test('render sees the targets map-resolve found for the info as normalize left it', () => {
+  const bus = createBus();
+  const drawn = [];
+  bus.use('normalize', (ctx) => { ctx.info = { ...ctx.info, type: String(ctx.info.type).toLowerCase() }; });
+  bus.use('map-resolve', mapResolver(() => [{ key: 'noteon:1:11', target: 'play_L' }]));
+  bus.use('render', (ctx) => drawn.push(ctx.targets.map(t => t.target)));
+
+  bus.emit({ type: 'NOTEON', ch: 1, d1: 11, d2: 127, value: 127 });
+  bus.emit({ type: 'noteon', ch: 1, d1: 12, d2: 127, value: 127 });
+  assert.deepEqual(drawn, [['play_L'], []]);
+});
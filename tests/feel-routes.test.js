@@ -0,0 +1,72 @@
+// tests/feel-routes.test.js (ESM)
+// CC → feel-control routing (src/feel-routes.js) against maps/flx6-feel.json.
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { buildFeelRoutes, routeFor, relativeDelta, applyFeel } from '../src/feel-routes.js';
+import { scaleAbsolute, applyRelative } from '../src/engine/sensitivity.js';
+
+const cfg = JSON.parse(fs.readFileSync(new URL('../maps/flx6-feel.json', import.meta.url), 'utf8'));
+const cc = (ch, controller, value) => ({ type: 'cc', ch, controller, value, d1: controller, d2: value });
+
+// stand-in for buildFeelRuntime (src/midi-feel.js imports by absolute URL)
+function fakeFeel() {
+  const values = new Map();
+  return {
+    processAbsolute: (id, v7, c) => ({ apply: true, value: scaleAbsolute(v7, c) }),
+    processRelative: (id, d, c) => {
+      const v = applyRelative(d, { ...c, current: values.get(id) ?? 0.5 });
+      values.set(id, v);
+      return { apply: true, value: v };
+    },
+    processJog: (d) => ({ vel: d * 0.5, pos: d }),
+  };
+}
+
+test('every control in flx6-feel.json is routed by its CC', () => {
+  const routes = buildFeelRoutes(cfg);
+  assert.equal(routeFor(routes, cc(7, 31, 0)), 'xfader');
+  assert.equal(routeFor(routes, cc(1, 4, 0)), 'ch1Gain');
+  assert.equal(routeFor(routes, cc(7, 64, 1)), 'browse');
+  assert.equal(routeFor(routes, cc(2, 33, 1)), 'jog');
+  assert.equal(routeFor(routes, cc(3, 33, 1)), null);
+  const routed = new Set(routes.values());
+  for (const id of Object.keys(cfg.controls)) assert.ok(routed.has(id), id);
+});
+
+test('absolute controls report norm across min..max; curves apply', () => {
+  const routes = buildFeelRoutes(cfg);
+  const gain = applyFeel(fakeFeel(), cfg, routes, cc(1, 4, 127));
+  assert.equal(gain.kind, 'absolute');
+  assert.equal(gain.value, 1.5);
+  assert.equal(gain.norm, 1);
+
+  const hi = applyFeel(fakeFeel(), cfg, routes, cc(1, 7, 32));
+  assert.ok(hi.norm < 32 / 127, 's-curve pulls the lower range down');
+});
+
+test('the filter knob (cc:7:23, MSB of a 14-bit pair) is absolute: the drawn norm follows its position', () => {
+  const routes = buildFeelRoutes(cfg);
+  const feel = fakeFeel();
+  const norms = [0, 64, 127, 0].map(v => applyFeel(feel, cfg, routes, cc(7, 23, v)));
+  assert.deepEqual(norms.map(r => r.kind), ['absolute', 'absolute', 'absolute', 'absolute']);
+  assert.deepEqual(norms.map(r => r.norm), [0, 0.5, 1, 0]);
+});
+
+test('relative and jog controls decode signed deltas', () => {
+  assert.equal(relativeDelta(127), -1);
+  assert.equal(relativeDelta(65, 'offset'), 1);
+
+  const routes = buildFeelRoutes(cfg);
+  const feel = fakeFeel();
+  const a = applyFeel(feel, cfg, routes, cc(7, 64, 1));
+  const b = applyFeel(feel, cfg, routes, cc(7, 64, 127));
+  assert.equal(a.kind, 'relative');
+  assert.equal(b.value, a.value - 1);
+
+  const jog = applyFeel(feel, cfg, routes, cc(1, 33, 126));
+  assert.deepEqual(jog, { id: 'jog', kind: 'jog', apply: true, delta: -2, vel: -1, pos: -2 });
+  assert.equal(applyFeel(feel, cfg, routes, cc(1, 19, 10)), null);
+});
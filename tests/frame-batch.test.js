@@ -0,0 +1,53 @@
+// tests/frame-batch.test.js (ESM)
+// Per-frame write coalescing for the board (src/frame-batch.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrameBatcher } from '../src/frame-batch.js';
+
+function fakeRaf() {
+  const queue = [];
+  const raf = (cb) => queue.push(cb);
+  raf.tick = () => queue.splice(0).forEach(cb => cb());
+  raf.queued = () => queue.length;
+  return raf;
+}
+
+test('only the latest write per key lands, once per frame', () => {
+  const raf = fakeRaf();
+  const frames = createFrameBatcher({ raf });
+  const fader = { y: null }, knob = { angle: null };
+
+  for (let v = 0; v < 50; v++) {
+    frames.count();
+    frames.schedule(fader, () => { fader.y = v; });
+    frames.schedule(knob, () => { knob.angle = v * 2; });
+  }
+  assert.equal(raf.queued(), 1);
+  assert.equal(fader.y, null);
+
+  raf.tick();
+  assert.equal(fader.y, 49);
+  assert.equal(knob.angle, 98);
+  assert.deepEqual(frames.stats(), { messages: 50, writes: 100, coalesced: 98, frames: 1, pending: 0, perFrame: 50 });
+});
+
+test('a failing write does not block the others; reset clears the counters', () => {
+  const raf = fakeRaf();
+  const frames = createFrameBatcher({ raf });
+  const seen = [];
+  frames.schedule('a', () => { throw new Error('detached'); });
+  frames.schedule('b', () => seen.push('b'));
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try { raf.tick(); } finally { console.warn = warn; }
+
+  assert.deepEqual(seen, ['b']);
+  frames.schedule('b', () => seen.push('b2'));
+  assert.equal(raf.queued(), 1, 'next frame requested after a flush');
+  frames.reset();
+  assert.equal(frames.stats().writes, 0);
+  assert.equal(frames.stats().pending, 1);
+});
@@ -0,0 +1,57 @@
+// tests/hid.test.js (ESM)
+// Declarative HID report parsing (server/hid-report.js) against recorded report buffers.
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { createReportParser, diffReports } from '../server/hid-report.js';
+
+const fixture = JSON.parse(fs.readFileSync(new URL('./fixtures/hid-reports.json', import.meta.url), 'utf8'));
+const bytesOf = (hex) => Uint8Array.from(hex.trim().split(/\s+/), h => parseInt(h, 16));
+
+test('recorded reports produce only the changed fields', () => {
+  const parser = createReportParser(fixture.layout);
+  fixture.reports.forEach((r, i) => {
+    assert.deepEqual(parser.parse(bytesOf(r.hex)), fixture.expected[i], `report ${i}: ${r.note}`);
+  });
+});
+
+test('reset() re-seeds state from the next report', () => {
+  const parser = createReportParser(fixture.layout);
+  const held = bytesOf(fixture.reports[2].hex);
+  parser.parse(held);
+  assert.deepEqual(parser.parse(held), []);
+  parser.reset();
+  assert.equal(parser.parse(held).filter(e => e.type === 'noteon').length, 1);
+});
+
+test('parser accepts Node Buffers as delivered by node-hid', () => {
+  const parser = createReportParser(fixture.layout);
+  const out = parser.parse(Buffer.from(bytesOf(fixture.reports[2].hex)));
+  assert.equal(out[0].type, 'noteon');
+});
+
+test('invalid layouts are rejected up front', () => {
+  assert.throws(() => createReportParser({ fields: [{ kind: 'slider', byte: 1, emit: { type: 'cc', ch: 1, code: 1 } }] }), /kind/);
+  assert.throws(() => createReportParser({ fields: [{ kind: 'button', byte: 1, bit: 9, emit: { type: 'note', ch: 1, code: 1 } }] }), /bit/);
+  assert.throws(() => createReportParser({ fields: [{ kind: 'fader', byte: 1, emit: { type: 'note', ch: 1, code: 1 } }] }), /notes/);
+});
+
+test('server/config.json report layout is valid and stays off until it is a real capture', () => {
+  const cfg = JSON.parse(fs.readFileSync(new URL('../server/config.json', import.meta.url), 'utf8'));
+  assert.ok(createReportParser(cfg.report).fields.length > 0);
+  // placeholder offsets: hid.js ignores the layout while it is flagged as an example
+  assert.equal(cfg.report.example, true);
+});
+
+test('diffReports lists changed bytes with the bits that moved', () => {
+  const [idle, , pad, , moved] = fixture.reports.map(r => bytesOf(r.hex));
+  assert.deepEqual(diffReports(idle, pad), [
+    { byte: 2, from: 0x00, to: 0x01, bits: [{ bit: 0, to: 1 }] },
+    { byte: 5, from: 0x00, to: 0x80, bits: [{ bit: 7, to: 1 }] },
+  ]);
+  assert.deepEqual(diffReports(pad, moved).map(d => d.byte), [2, 5, 6, 7]);
+  assert.deepEqual(diffReports(idle, idle), []);
+  assert.deepEqual(diffReports(Uint8Array.of(1), Uint8Array.of(1, 4)), [{ byte: 1, from: null, to: 4, bits: [{ bit: 2, to: 1 }] }]);
+});
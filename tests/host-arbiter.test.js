@@ -0,0 +1,67 @@
+// tests/host-arbiter.test.js (ESM)
+// Primary / standby hosts: join order, claim / release, failover on disconnect and stale beats (server/host-arbiter.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHostArbiter } from '../server/host-arbiter.js';
+
+function setup() {
+  const clock = { t: 0 };
+  return { clock, arb: createHostArbiter({ staleMs: 5000, now: () => clock.t }) };
+}
+
+test('first host is primary; claim and release move the role', () => {
+  const { arb } = setup();
+  assert.equal(arb.add('booth'), 'join');
+  assert.equal(arb.add('backup'), null);
+  assert.equal(arb.add('backup'), null);
+  assert.deepEqual(arb.state(), { active: 'booth', standby: ['backup'] });
+
+  assert.equal(arb.claim('backup'), 'claim');
+  assert.equal(arb.claim('backup'), null);
+  assert.equal(arb.claim('stranger'), null);
+  assert.equal(arb.isActive('backup'), true);
+
+  assert.equal(arb.release('booth'), null, 'only the primary can release');
+  assert.equal(arb.release('backup'), 'release');
+  assert.deepEqual(arb.state(), { active: 'booth', standby: ['backup'] });
+});
+
+test('disconnect promotes the next standby; a lone primary keeps the role on release', () => {
+  const { arb } = setup();
+  arb.add('a'); arb.add('b'); arb.add('c');
+  assert.equal(arb.remove('b'), null);
+  assert.equal(arb.remove('a'), 'disconnect');
+  assert.equal(arb.active, 'c');
+  assert.equal(arb.release('c'), null);
+  assert.equal(arb.remove('c'), 'disconnect');
+  assert.equal(arb.active, null);
+  assert.equal(arb.add('d'), 'join');
+});
+
+test('a heartbeating primary that goes quiet hands over to a live standby', () => {
+  const { clock, arb } = setup();
+  arb.add('booth'); arb.add('backup'); arb.add('legacy');
+  arb.beat('booth', { explicit: true });
+  arb.beat('backup', { explicit: true });
+
+  clock.t = 4000;
+  arb.beat('backup', { explicit: true });
+  assert.equal(arb.check(), null);
+
+  clock.t = 6000;
+  assert.equal(arb.check(), 'stale');
+  assert.equal(arb.active, 'backup');
+
+  // the old primary comes back as a standby; no flapping
+  arb.beat('booth', { explicit: true });
+  assert.equal(arb.check(), null);
+  assert.equal(arb.active, 'backup');
+
+  // hosts that never beat explicitly (older clients) never go stale
+  arb.claim('legacy');
+  clock.t = 60000;
+  assert.equal(arb.check(), null);
+  assert.equal(arb.active, 'legacy');
+});
@@ -0,0 +1,31 @@
+// tests/led-feedback.test.js (ESM)
+// LED spec resolution and output bytes (src/led-feedback.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLedIndex, ledBytes } from '../src/led-feedback.js';
+
+test('led:true reuses the entry type/ch/code; explicit specs override it', () => {
+  const index = buildLedIndex([
+    { key: 'noteoff:8:0', type: 'noteoff', ch: 8, code: 0, target: 'pad_x5F_L_x5F_1', led: true },
+    { key: 'noteon:1:11', type: 'noteon', ch: 1, code: 11, target: 'play_x5F_L',
+      led: { type: 'cc', ch: 1, code: 74, on: 100, off: 5 } },
+    { key: 'cc:1:19', type: 'cc', ch: 1, code: 19, target: 'slider_ch1' },  // no led field
+  ]);
+
+  assert.deepEqual([...index.keys()], ['pad_L_1', 'play_L']);
+  assert.deepEqual(index.get('pad_L_1'), { type: 'noteon', ch: 8, code: 0, on: 127, off: 0 });
+  assert.deepEqual(ledBytes(index.get('pad_L_1'), true), [0x97, 0, 127]);
+  assert.deepEqual(ledBytes(index.get('play_L'), true), [0xB0, 74, 100]);
+  assert.deepEqual(ledBytes(index.get('play_L'), false), [0xB0, 74, 5]);
+});
+
+test('out-of-range or unsupported LED specs are ignored', () => {
+  const index = buildLedIndex([
+    { type: 'noteon', ch: 17, code: 0, target: 'a', led: true },
+    { type: 'pitch', ch: 1, code: 0, target: 'b', led: true },
+    { type: 'noteon', ch: 1, code: 0, target: 'c', led: { code: 200 } },
+  ]);
+  assert.equal(index.size, 0);
+});
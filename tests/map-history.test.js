@@ -0,0 +1,52 @@
+// tests/map-history.test.js (ESM)
+// Room map versions: per-room retention and dropped rooms stay gone across restarts (server/map-history.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createMapHistory } from '../server/map-history.js';
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flx-history-'));
+  return { dir, file: path.join(dir, 'history.ndjson') };
+}
+const lineCount = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length;
+const map = (n) => [{ key: `cc:1:${n}`, target: 'ch1_fader' }];
+
+test('keeps the last `limit` versions per room, in memory and on disk', async () => {
+  const { dir, file } = tmpFile();
+  const hist = createMapHistory({ file, limit: 3 });
+  for (let i = 1; i <= 10; i++) hist.append('a', { key: `k${i}`, map: map(i) });
+  hist.append('b', { key: 'only', map: map(0) });
+  await hist.flush();
+
+  assert.deepEqual(hist.list('a').map(v => v.key), ['k10', 'k9', 'k8']);
+  assert.ok(lineCount(file) <= 3 + 1 + 3, `file holds ${lineCount(file)} lines`);
+
+  const reloaded = createMapHistory({ file, limit: 3 });
+  await reloaded.load();
+  await reloaded.flush();
+  assert.deepEqual(reloaded.list('a').map(v => v.key), ['k10', 'k9', 'k8']);
+  assert.deepEqual(reloaded.list('b').map(v => v.key), ['only']);
+  assert.equal(lineCount(file), 4);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a dropped room does not come back on reload', async () => {
+  const { dir, file } = tmpFile();
+  const hist = createMapHistory({ file });
+  hist.append('gone', { key: 'g1', map: map(1) });
+  hist.append('kept', { key: 'k1', map: map(2) });
+  assert.equal(hist.drop('gone'), true);
+  assert.equal(hist.drop('gone'), false);
+  await hist.flush();
+
+  const reloaded = createMapHistory({ file });
+  await reloaded.load();
+  assert.deepEqual(reloaded.list('gone'), []);
+  assert.equal(reloaded.find('kept', 'k1')[0].target, 'ch1_fader');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,50 @@
+// tests/map-index.test.js (ESM)
+// Key → targets index (src/mapper.js buildMapIndex / targetsForInfo) and a lookup micro-benchmark.
+// Run with: node --test tests/*.test.js   (FLX_BENCH=1 also asserts the benchmark timing)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { performance } from 'node:perf_hooks';
+import { buildMapIndex, targetsForInfo } from '../src/mapper.js';
+
+test('one key fans out to every target; placeholders are skipped', () => {
+  const index = buildMapIndex([
+    { key: 'noteon:1:54', target: 'pad_L_1' },
+    { key: 'noteon:1:54', target: 'pad_L_1_ring' },
+    { type: 'cc', ch: 1, code: 19, target: 'slider_ch1' },
+    { target: 'jog_L' },
+    { key: 'noteon:1:11' },
+  ]);
+  const note = targetsForInfo(index, { type: 'noteon', ch: 1, d1: 54, d2: 127 });
+  assert.deepEqual(note.map(m => m.target), ['pad_L_1', 'pad_L_1_ring']);
+  assert.equal(targetsForInfo(index, { type: 'cc', ch: 1, controller: 19, value: 3 })[0].target, 'slider_ch1');
+  assert.deepEqual(targetsForInfo(index, { type: 'noteon', ch: 1, d1: 11 }), []);
+  assert.equal(index.size, 2);
+});
+
+test('micro-benchmark: indexed lookup vs the linear scan at jog rates', (t) => {
+  const map = [];
+  for (let ch = 1; ch <= 8; ch++) {
+    for (let code = 0; code < 80; code++) map.push({ key: `cc:${ch}:${code}`, type: 'cc', ch, code, target: `t_${ch}_${code}` });
+  }
+  const events = [];
+  for (let i = 0; i < 20000; i++) events.push({ type: 'cc', ch: 1 + (i % 8), controller: 79 - (i % 40), value: i & 127 });
+
+  const linear = (info) => {
+    const k = `cc:${info.ch}:${info.controller}`;
+    return map.find(m => m.key === k && m.target);
+  };
+  const index = buildMapIndex(map);
+
+  let hits = 0;
+  const t0 = performance.now();
+  for (const e of events) if (linear(e)) hits++;
+  const t1 = performance.now();
+  for (const e of events) if (targetsForInfo(index, e).length) hits++;
+  const t2 = performance.now();
+
+  t.diagnostic(`${map.length} entries × ${events.length} events: scan ${(t1 - t0).toFixed(1)}ms, index ${(t2 - t1).toFixed(1)}ms`);
+  assert.equal(hits, events.length * 2);
+  // wall-clock comparison only on request: a loaded CI box can invert it
+  if (process.env.FLX_BENCH === '1') assert.ok(t2 - t1 < t1 - t0, 'index lookup should be faster than Array.find');
+});
@@ -0,0 +1,48 @@
+// tests/map-schema.test.js (ESM)
+// Map entry validation and lint rules (src/map-schema.js) against the shipped maps and board SVG.
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateMapEntry, lintMap, unmappedTargets } from '../src/map-schema.js';
+import { toIdVariants } from '../src/board.js';
+
+const read = (p) => fs.readFileSync(new URL(`../${p}`, import.meta.url), 'utf8');
+const svgIds = new Set([...read('assets/board.svg').matchAll(/\bid="([^"]+)"/g)].map(m => m[1]));
+
+test('entry schema: parts, key agreement, placeholders', () => {
+  assert.deepEqual(validateMapEntry({ key: 'cc:1:19', type: 'cc', ch: 1, code: 19, target: 'slider_ch1' }), []);
+  assert.deepEqual(validateMapEntry({ key: '', type: '', ch: null, code: null, target: 'jog_L' }), []);
+  assert.deepEqual(validateMapEntry({ key: 'sysex:0:126', type: 'sysex', ch: 0, code: 126, target: 'x' }), []);
+  assert.match(validateMapEntry({ key: 'cc:1:19', type: 'cc', ch: 1, code: 20, target: 'x' }).join(), /does not match/);
+  assert.equal(validateMapEntry({ type: 'knob', ch: 17, code: 300, target: '' }).length, 4);
+  assert.match(validateMapEntry({ type: 'pitch', ch: 1, code: 5, target: 'x' }).join(), /code 0/);
+  assert.match(validateMapEntry({ type: 'cc', ch: 1, code: 1, target: 'x', device: 'mpc' }).join(), /unknown device/);
+});
+
+test('lint rules: duplicate, fan-out, dangling via toIdVariants', () => {
+  const issues = lintMap([
+    { key: 'noteon:1:11', type: 'noteon', ch: 1, code: 11, target: 'play_L' },
+    { key: 'noteon:1:11', type: 'noteon', ch: 1, code: 11, target: 'play_L' },
+    { key: 'noteon:1:11', type: 'noteon', ch: 1, code: 11, target: 'cue_L' },
+    { key: 'noteon:1:12', type: 'noteon', ch: 1, code: 12, target: 'no_such_button' },
+    { key: 'noteon:1:12', type: 'noteon', ch: 1, code: 12, target: 'pad_L_1', device: 'launchpad' },
+    { key: '', type: '', ch: null, code: null, target: 'trim_ch1' },
+  ], { svgIds, idVariants: toIdVariants, device: 'flx6' });
+
+  const brief = issues.map(i => `${i.index}:${i.level}:${i.rule}`);
+  assert.deepEqual(brief, ['1:error:duplicate', '2:warning:fan-out', '3:error:dangling', '5:warning:dangling']);
+});
+
+test('shipped maps lint clean; placeholders surface as unmapped controls', () => {
+  const shipped = JSON.parse(read('flx6_map.json'));
+  const learned = JSON.parse(read('learned_map.json'));
+  for (const map of [shipped, learned]) {
+    const errors = lintMap(map, { svgIds, idVariants: toIdVariants, device: 'flx6' }).filter(i => i.level === 'error');
+    assert.deepEqual(errors, []);
+  }
+  const unmapped = unmappedTargets([shipped, learned], toIdVariants);
+  assert.ok(unmapped.includes('trim_ch1'));
+  assert.ok(!unmapped.includes('pad_L_1'), 'learned pad_x5F_L_x5F_1 binds the placeholder pad_L_1');
+});
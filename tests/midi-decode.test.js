@@ -0,0 +1,45 @@
+// tests/midi-decode.test.js (ESM)
+// Raw MIDI decoding (src/midi-decode.js) and the server's easymidi/info normalizers.
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeMIDIBytes } from '../src/midi-decode.js';
+import { keyForInfo } from '../src/mapper.js';
+import { normalizeInfo, fromEasymidi } from '../server/info.js';
+
+test('every channel message type decodes with a stable key', () => {
+  const cases = [
+    [[0xE1, 0x00, 0x40], { type: 'pitch', ch: 2, value: 0, value14: 8192 }, 'pitch:2:0'],
+    [[0xE0, 0x7F, 0x7F], { type: 'pitch', ch: 1, value: 8191, value14: 16383 }, 'pitch:1:0'],
+    [[0xD3, 0x55], { type: 'aftertouch', ch: 4, value: 0x55 }, 'aftertouch:4:0'],
+    [[0xA0, 60, 33], { type: 'polyaftertouch', ch: 1, d1: 60, d2: 33, value: 33 }, 'polyaftertouch:1:60'],
+    [[0xC6, 12], { type: 'program', ch: 7, d1: 12, value: 12 }, 'program:7:12'],
+    [[0x97, 0, 127], { type: 'noteon', ch: 8, d1: 0, d2: 127, value: 127 }, 'noteon:8:0'],
+  ];
+  for (const [bytes, info, key] of cases) {
+    assert.deepEqual(decodeMIDIBytes(bytes), info);
+    assert.equal(keyForInfo(info), key);
+  }
+});
+
+test('sysex is opt-in', () => {
+  const msg = [0xF0, 0x00, 0x40, 0x05, 0xF7];
+  assert.equal(decodeMIDIBytes(msg), null);
+  assert.deepEqual(decodeMIDIBytes(msg, { sysex: true }), { type: 'sysex', ch: 0, d1: 0, bytes: msg });
+  assert.equal(decodeMIDIBytes([0xF8]), null); // realtime clock
+});
+
+test('easymidi events map to the browser shapes and survive the relay normalizer', () => {
+  const cases = [
+    ['pitch', { channel: 0, value: 0 }, { type: 'pitch', ch: 1, value: -8192, value14: 0 }],
+    ['channel aftertouch', { channel: 2, pressure: 9 }, { type: 'aftertouch', ch: 3, value: 9 }],
+    ['poly aftertouch', { channel: 0, note: 36, pressure: 70 }, { type: 'polyaftertouch', ch: 1, d1: 36, d2: 70, value: 70 }],
+    ['program', { channel: 15, number: 3 }, { type: 'program', ch: 16, d1: 3, value: 3 }],
+    ['sysex', { bytes: [0xF0, 0x7E, 0xF7] }, { type: 'sysex', ch: 0, d1: 0x7E, bytes: [0xF0, 0x7E, 0xF7] }],
+  ];
+  for (const [ev, d, info] of cases) {
+    assert.deepEqual(fromEasymidi(ev, d), info);
+    assert.deepEqual(normalizeInfo({ type: 'info', payload: { type: 'midi_like', payload: info } }), info);
+  }
+});
@@ -0,0 +1,101 @@
+// tests/midi-file.test.js (ESM)
+// Standard MIDI File import/export + NDJSON log import for the recorder.
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSMF, writeSMF } from '../src/midi-file.js';
+import { createRecorder } from '../src/recorder.js';
+
+const str = (s) => Array.from(s, c => c.charCodeAt(0));
+const u32 = (n) => [(n >>> 24) & 255, (n >>> 16) & 255, (n >>> 8) & 255, n & 255];
+const chunk = (id, body) => [...str(id), ...u32(body.length), ...body];
+
+// Type 1, PPQ 96: conductor track with 120 BPM then 60 BPM at tick 96
+function twoTrackFile() {
+  const header = chunk('MThd', [0, 1, 0, 2, 0, 96]);
+  const conductor = chunk('MTrk', [
+    0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20,   // 500000 us/qn
+    0x60, 0xFF, 0x51, 0x03, 0x0F, 0x42, 0x40,   // +96: 1000000 us/qn
+    0x00, 0xFF, 0x2F, 0x00,
+  ]);
+  const notes = chunk('MTrk', [
+    0x00, 0x90, 60, 100,                        // noteon ch1
+    0x60, 60, 0,                                // +96 running status, vel 0 => noteoff
+    0x60, 0xB1, 7, 64,                          // +96 cc ch2
+    0x00, 0xFF, 0x2F, 0x00,
+  ]);
+  return Uint8Array.from([...header, ...conductor, ...notes]);
+}
+
+test('parseSMF converts ticks through the tempo map', () => {
+  const smf = parseSMF(twoTrackFile());
+  assert.equal(smf.format, 1);
+  assert.equal(smf.ppq, 96);
+  assert.deepEqual(smf.events.map(e => Math.round(e.t)), [0, 500, 1500]);
+});
+
+test('parseSMF produces recorder info shapes', () => {
+  const [on, off, cc] = parseSMF(twoTrackFile()).events.map(e => e.info);
+  assert.deepEqual(on,  { type: 'noteon',  ch: 1, d1: 60, d2: 100, value: 100 });
+  assert.deepEqual(off, { type: 'noteoff', ch: 1, d1: 60, d2: 0, value: 0 });
+  assert.deepEqual(cc,  { type: 'cc', ch: 2, controller: 7, value: 64, d1: 7, d2: 64 });
+});
+
+test('parseSMF rejects non-MIDI input', () => {
+  assert.throws(() => parseSMF(Uint8Array.from(str('{"version":1}'))), /MThd/);
+});
+
+test('recorder imports server NDJSON logs rebased to the first event', () => {
+  const rec = createRecorder();
+  rec.loadFromNDJSON([
+    JSON.stringify({ ts: 1000, room: 'a', sender: 'c_1', info: { type: 'cc', ch: 1, controller: 19, value: 5 } }),
+    JSON.stringify({ ts: 1100, room: 'b', sender: 'c_2', info: { type: 'cc', ch: 1, controller: 19, value: 9 } }),
+    'not json',
+    JSON.stringify({ ts: 1250, room: 'a', sender: 'c_1', info: { type: 'noteon', ch: 1, d1: 36, d2: 127 } }),
+  ].join('\n'), { room: 'a' });
+  assert.deepEqual(rec.events.map(e => e.t), [0, 250]);
+  assert.equal(rec.events[1].info.type, 'noteon');
+});
+
+test('writeSMF round-trips through parseSMF with one track per channel', () => {
+  const events = [
+    { t: 0,    info: { type: 'noteon', ch: 1, d1: 36, d2: 127, value: 127 } },
+    { t: 250,  info: { type: 'cc', ch: 7, controller: 31, value: 100, d1: 31, d2: 100 } },
+    { t: 500,  info: { type: 'noteoff', ch: 1, d1: 36, d2: 0, value: 0 } },
+    { t: 750,  info: { type: 'pitch', ch: 2, value: -4096, value14: 4096 } },
+    { t: 800,  info: { type: 'raw', ch: 1 } },
+  ];
+  const bytes = writeSMF(events, { ppq: 960, bpm: 90 });
+  const smf = parseSMF(bytes);
+  assert.equal(smf.format, 1);
+  assert.equal(smf.ppq, 960);
+  assert.equal(smf.tracks, 4); // conductor + ch1 + ch2 + ch7
+  assert.deepEqual(smf.events.map(e => Math.round(e.t)), [0, 250, 500, 750]);
+  assert.deepEqual(smf.events.map(e => e.info), events.slice(0, 4).map(e => e.info));
+});
+
+test('aftertouch, program change and sysex survive a file round-trip', () => {
+  const events = [
+    { t: 0,   info: { type: 'program', ch: 3, d1: 5, value: 5 } },
+    { t: 100, info: { type: 'aftertouch', ch: 3, value: 90 } },
+    { t: 200, info: { type: 'polyaftertouch', ch: 3, d1: 60, d2: 40, value: 40 } },
+    { t: 300, info: { type: 'sysex', ch: 0, d1: 0x7E, bytes: [0xF0, 0x7E, 0x7F, 0x06, 0x01, 0xF7] } },
+    { t: 400, info: { type: 'pitch', ch: 3, value: 8191, value14: 16383 } },
+  ];
+  const smf = parseSMF(writeSMF(events));
+  assert.equal(smf.tracks, 3); // conductor + ch3 + sysex
+  assert.deepEqual(smf.events.map(e => e.info), events.map(e => e.info));
+});
+
+test('14-bit CCs are written as the MSB / LSB pair (cc n, cc n+32)', () => {
+  const events = [
+    { t: 0,   info: { type: 'cc', ch: 1, controller: 19, value: 64, d1: 19, d2: 64, lsb: 5, value14: (64 << 7) | 5, hires: true } },
+    { t: 100, info: { type: 'cc', ch: 1, controller: 19, value: 127, d1: 19, d2: 127, value14: 16383, hires: true } },
+  ];
+  const smf = parseSMF(writeSMF(events));
+  assert.deepEqual(smf.events.map(e => [Math.round(e.t), e.info.controller, e.info.value]), [
+    [0, 19, 64], [0, 51, 5],
+    [100, 19, 127], [100, 51, 127],
+  ]);
+});
@@ -0,0 +1,73 @@
+// tests/room-state.test.js (ESM)
+// Per-room live control state for late-joining viewers (server/room-state.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoomState, jogKeysOf } from '../server/room-state.js';
+import { normalizeInfo } from '../server/info.js';
+
+const cc = (ch, controller, value) => ({ type: 'cc', ch, controller, value, d1: controller, d2: value });
+
+test('last value per control; resting pitch / pressure and programs are not kept', () => {
+  const state = createRoomState();
+  state.update(cc(1, 19, 10));
+  state.update(cc(1, 19, 0));
+  state.update(cc(7, 31, 64));
+  state.update({ type: 'pitch', ch: 2, value: 512, value14: 8704 });
+  state.update({ type: 'pitch', ch: 3, value: 0, value14: 8192 });
+  state.update({ type: 'aftertouch', ch: 1, value: 0 });
+  state.update({ type: 'program', ch: 1, d1: 4, value: 4 });
+
+  const snap = state.snapshot();
+  assert.deepEqual(snap.controls.map(i => `${i.type}:${i.ch}:${i.value}`), ['cc:1:0', 'cc:7:64', 'pitch:2:512']);
+  assert.equal(state.size, 3);
+});
+
+test('held notes are kept until released; jogs accumulate relative steps', () => {
+  const state = createRoomState();
+  state.update({ type: 'noteon', ch: 1, d1: 11, d2: 127, value: 127 });
+  state.update({ type: 'noteon', ch: 1, d1: 12, d2: 127, value: 127 });
+  state.update({ type: 'noteon', ch: 1, d1: 11, d2: 0, value: 0 });
+  state.update({ type: 'noteoff', ch: 1, d1: 12, d2: 64, value: 0 });
+  state.update({ type: 'noteon', ch: 2, d1: 11, d2: 90, value: 90 });
+  for (const v of [3, 3, 126, 1]) state.update(cc(1, 33, v), { jog: true });
+
+  const snap = state.snapshot();
+  assert.deepEqual(snap.notes.map(i => `${i.ch}:${i.d1}`), ['2:11']);
+  assert.deepEqual(snap.jogs, { 'cc:1:33': 5 });
+  assert.deepEqual(snap.controls, []);
+  state.clear();
+  assert.equal(state.size, 0);
+});
+
+test('two devices on the same channels keep separate entries', () => {
+  const state = createRoomState();
+  state.update({ ...cc(1, 19, 100), device: 'flx6' });
+  state.update({ ...cc(1, 19, 20), device: 'flx4' });
+  state.update({ type: 'noteon', ch: 1, d1: 11, d2: 127, value: 127, device: 'flx6' });
+  state.update({ type: 'noteon', ch: 1, d1: 11, d2: 127, value: 127, device: 'flx4' });
+  state.update({ type: 'noteoff', ch: 1, d1: 11, d2: 0, value: 0, device: 'flx4' });
+  state.update({ ...cc(1, 33, 2), device: 'flx6' }, { jog: true });
+  state.update({ ...cc(1, 33, 127), device: 'flx4' }, { jog: true });
+
+  const snap = state.snapshot();
+  assert.deepEqual(snap.controls.map(i => `${i.device}:${i.value}`), ['flx6:100', 'flx4:20']);
+  assert.deepEqual(snap.notes.map(i => i.device), ['flx6']);
+  assert.deepEqual(snap.jogs, { 'flx6/cc:1:33': 2, 'flx4/cc:1:33': -1 });
+});
+
+test('jog keys come from map targets; relayed infos keep the host feel result', () => {
+  const keys = jogKeysOf([
+    { key: 'cc:1:33', target: 'jog_L' },
+    { type: 'cc', ch: 2, code: 33, target: 'jog_x5F_R' },
+    { key: 'noteon:1:54', target: 'jog_L_touch' },
+    { key: 'cc:1:34', target: 'jog_L_touch' },
+    { key: 'noteon:1:28', target: 'jogcut_x5F_L' },
+  ]);
+  assert.deepEqual([...keys], ['cc:1:33', 'cc:2:33']);
+
+  const feel = { id: 'xfader', kind: 'absolute', apply: true, value: 0.4, norm: 0.4 };
+  const info = normalizeInfo({ type: 'midi_like', payload: { ...cc(7, 31, 51), feel } });
+  assert.deepEqual(info.feel, feel);
+});
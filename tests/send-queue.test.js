@@ -0,0 +1,83 @@
+// tests/send-queue.test.js (ESM)
+// Per-socket backpressure: coalescing, jog step sums, no dropped notes (server/send-queue.js).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSendQueue, withValue, encodeRelative7 } from '../server/send-queue.js';
+
+function fakeSocket() {
+  return {
+    id: 'c_test', readyState: 1, bufferedAmount: 0, sent: [], closedWith: null,
+    send(d) { this.sent.push(JSON.parse(d)); },
+    close(code) { this.closedWith = code; this.readyState = 3; },
+  };
+}
+const cc = (controller, value) => ({ data: JSON.stringify({ cc: controller, value }), key: `/cc:1:${controller}`, mode: 'latest' });
+const note = (n) => ({ data: JSON.stringify({ note: n }), mode: 'discrete' });
+
+test('sends straight through while the socket keeps up', () => {
+  const ws = fakeSocket();
+  const q = createSendQueue(ws, { highWaterBytes: 100 });
+  q.push(cc(19, 1));
+  q.push(cc(19, 2));
+  assert.equal(ws.sent.length, 2);
+  assert.deepEqual(q.lag(), { queued: 0, bytes: 0, ms: 0, coalesced: 0 });
+  q.close();
+});
+
+test('congested: CCs keep the latest value per key, notes all arrive in order', () => {
+  const ws = fakeSocket();
+  const q = createSendQueue(ws, { highWaterBytes: 100 });
+  ws.bufferedAmount = 500;
+  q.push(cc(19, 1));
+  q.push(note(11));
+  for (let v = 2; v <= 50; v++) q.push(cc(19, v));
+  q.push(cc(20, 7));
+  q.push(note(12));
+  assert.equal(ws.sent.length, 0);
+  assert.equal(q.lag().queued, 4);
+  assert.equal(q.lag().coalesced, 49);
+
+  ws.bufferedAmount = 0;
+  q.flush();
+  assert.deepEqual(ws.sent, [{ cc: 19, value: 50 }, { note: 11 }, { cc: 20, value: 7 }, { note: 12 }]);
+  q.close();
+});
+
+test('jog steps add up instead of being replaced', () => {
+  const ws = fakeSocket();
+  const q = createSendQueue(ws, { highWaterBytes: 100 });
+  const msg = (v) => ({ type: 'midi_like', payload: { type: 'cc', ch: 1, controller: 33, value: v, d2: v, feel: { kind: 'jog' } } });
+  const jog = (steps) => ({
+    data: JSON.stringify(msg(encodeRelative7(steps))), key: '/cc:1:33', mode: 'sum', steps,
+    rewrite: (s) => JSON.stringify(withValue(msg(0), encodeRelative7(s))),
+  });
+
+  ws.bufferedAmount = 500;
+  for (let i = 0; i < 40; i++) q.push(jog(3));   // 120 steps: 63 fit in a frame
+  q.push(jog(-2));
+  ws.bufferedAmount = 0;
+  q.flush();
+
+  const steps = ws.sent.map(m => (m.payload.value > 64 ? m.payload.value - 128 : m.payload.value));
+  assert.equal(steps.reduce((a, b) => a + b, 0), 118);
+  assert.equal(ws.sent.length, 2);
+  assert.equal(ws.sent[0].payload.feel, undefined);
+  q.close();
+});
+
+test('a backlog of discrete frames closes the socket rather than dropping notes', () => {
+  const ws = fakeSocket();
+  const q = createSendQueue(ws, { highWaterBytes: 100, maxQueue: 5 });
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    ws.bufferedAmount = 500;
+    for (let n = 0; n < 6; n++) q.push(note(n));
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(ws.closedWith, 1013);
+  assert.equal(q.lag().queued, 0);
+});
@@ -0,0 +1,52 @@
+// tests/server-hid.test.js (ESM)
+// The optional HID bridge must not take the relay server down (bad layout, missing device).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { WebSocket } from 'ws';
+
+const PORT = 20000 + Math.floor(Math.random() * 500) * 2;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('an invalid HID report layout is logged and the server keeps serving', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flx-hid-'));
+  const config = path.join(dir, 'hid.json');
+  fs.writeFileSync(config, JSON.stringify({
+    vendorId: '0x2b73', productId: '0x0038',
+    report: { fields: [{ kind: 'slider', byte: 1, emit: { type: 'cc', ch: 1, code: 1 } }] },
+  }));
+  const server = spawn(process.execPath, ['server/server.js'], {
+    cwd: new URL('..', import.meta.url).pathname,
+    env: {
+      ...process.env,
+      PORT: String(PORT), WSPORT: String(PORT + 1),
+      HID_ENABLED: '1', HID_CONFIG: config,
+      TOKENS_FILE: path.join(dir, 'tokens.json'),
+      MAP_FILE: path.join(dir, 'maps.json'),
+      MAP_HISTORY_FILE: path.join(dir, 'history.ndjson'),
+      MIDI_LOG_DIR: '', MIDI_INPUT: '', MIDI_OUTPUT: '',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let log = '';
+  server.stdout.on('data', (d) => { log += d; });
+  server.stderr.on('data', (d) => { log += d; });
+  try {
+    // the MIDI bridge line is logged after the HID bridge started (or failed)
+    for (let i = 0; i < 100 && !/\[MIDI\]/.test(log) && server.exitCode == null; i++) await sleep(100);
+    assert.equal(server.exitCode, null, log);
+    assert.match(log, /\[HID\] error:.*kind/);
+
+    const ws = new WebSocket(`ws://127.0.0.1:${PORT + 1}/?role=viewer&room=hid`, { headers: { origin: 'https://setsoutofcontext.com' } });
+    await new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject); });
+    ws.close();
+  } finally {
+    server.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
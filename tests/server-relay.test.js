@@ -0,0 +1,162 @@
+// tests/server-relay.test.js (ESM)
+// Relay rules of a running server/server.js (child process on spare ports, token-protected room).
+// Run with: node --test tests/*.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { WebSocket } from 'ws';
+
+const HOST_TOKEN = 'host-secret';
+const VIEW_TOKEN = 'view-secret';
+const PORT = 19000 + Math.floor(Math.random() * 500) * 2;
+const ORIGIN = { headers: { origin: 'https://setsoutofcontext.com' } };
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+let server = null;
+let dir = null;
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flx-relay-'));
+  server = spawn(process.execPath, ['server/server.js'], {
+    cwd: new URL('..', import.meta.url).pathname,
+    env: {
+      ...process.env,
+      PORT: String(PORT), WSPORT: String(PORT + 1),
+      HOST_TOKEN, VIEW_TOKEN,
+      TOKENS_FILE: path.join(dir, 'tokens.json'),
+      MAP_FILE: path.join(dir, 'maps.json'),
+      MAP_HISTORY_FILE: path.join(dir, 'history.ndjson'),
+      MIDI_LOG_DIR: '', HID_ENABLED: '0', MIDI_INPUT: '', MIDI_OUTPUT: '', ADMIN_TOKEN: '',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  // the MIDI bridge line is the last thing logged at startup
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server did not start')), 10000);
+    server.stdout.on('data', (d) => { if (/\[MIDI\]/.test(String(d))) { clearTimeout(timer); resolve(); } });
+    server.stderr.on('data', (d) => { if (/\[MIDI\]/.test(String(d))) { clearTimeout(timer); resolve(); } });
+    server.on('exit', (code) => { clearTimeout(timer); reject(new Error(`server exited ${code}`)); });
+  });
+});
+
+test.after(() => {
+  server?.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Connected socket that records every JSON frame it receives
+function client(role, room, token) {
+  return new Promise((resolve, reject) => {
+    const s = new WebSocket(`ws://127.0.0.1:${PORT + 1}/?role=${role}&room=${room}&token=${token}`, ORIGIN);
+    s.frames = [];
+    s.on('message', (d) => { try { s.frames.push(JSON.parse(d)); } catch {} });
+    s.on('open', () => resolve(s));
+    s.on('error', reject);
+  });
+}
+const midiFrames = (s) => s.frames.filter(m => m.type === 'midi');
+const midi = (value) => JSON.stringify({ type: 'midi', mtype: 'cc', ch: 1, controller: 19, value });
+
+test('a viewer cannot relay midi frames to the room; the host can', async () => {
+  const host = await client('host', 'relay1', HOST_TOKEN);
+  const a = await client('viewer', 'relay1', VIEW_TOKEN);
+  const b = await client('viewer', 'relay1', VIEW_TOKEN);
+  await sleep(100);
+
+  a.send(midi(99));
+  await sleep(200);
+  assert.deepEqual(midiFrames(host), []);
+  assert.deepEqual(midiFrames(b), []);
+
+  host.send(midi(42));
+  await sleep(200);
+  assert.deepEqual(midiFrames(a).map(m => m.value), [42]);
+  assert.deepEqual(midiFrames(b).map(m => m.value), [42]);
+  [host, a, b].forEach(s => s.close());
+});
+
+test('only the primary host relays; standby frames are dropped', async () => {
+  const primary = await client('host', 'relay2', HOST_TOKEN);
+  await sleep(100);
+  const standby = await client('host', 'relay2', HOST_TOKEN);
+  const viewer = await client('viewer', 'relay2', VIEW_TOKEN);
+  await sleep(100);
+  assert.equal(standby.frames.find(m => m.type === 'host:active')?.active, primary.frames.find(m => m.type === 'host:active')?.you);
+
+  standby.send(midi(7));
+  standby.send(JSON.stringify({ type: 'midi_like', payload: { type: 'cc', ch: 1, controller: 19, value: 7 } }));
+  await sleep(200);
+  assert.deepEqual(midiFrames(viewer), []);
+  assert.deepEqual(viewer.frames.filter(m => m.type === 'info'), []);
+
+  primary.send(JSON.stringify({ type: 'midi_like', payload: { type: 'cc', ch: 1, controller: 19, value: 8 } }));
+  await sleep(200);
+  assert.deepEqual(viewer.frames.filter(m => m.type === 'info').map(m => m.payload.payload.value), [8]);
+  [primary, standby, viewer].forEach(s => s.close());
+});
+
+test('hello with a new role moves the socket like a join (presence + arbitration)', async () => {
+  const viewer = await client('viewer', 'relay3', VIEW_TOKEN);
+  const upgraded = await client('viewer', 'relay3', HOST_TOKEN);
+  await sleep(100);
+  upgraded.send(JSON.stringify({ type: 'hello', role: 'host' }));
+  await sleep(200);
+
+  const presence = viewer.frames.filter(m => m.type === 'presence').at(-1);
+  assert.deepEqual([presence.hosts, presence.viewers], [1, 1]);
+  const active = upgraded.frames.filter(m => m.type === 'host:active').at(-1);
+  assert.equal(active.active, active.you);
+
+  upgraded.send(midi(5));
+  await sleep(200);
+  assert.deepEqual(midiFrames(viewer).map(m => m.value), [5]);
+  [viewer, upgraded].forEach(s => s.close());
+});
+
+test('late joiners get state from the active host only, and none once the hosts are gone', async () => {
+  const snapshotFor = async () => {
+    const late = await client('viewer', 'relay4', VIEW_TOKEN);
+    await sleep(150);
+    late.close();
+    return late.frames.find(m => m.type === 'state:snapshot') || null;
+  };
+  const host = await client('host', 'relay4', HOST_TOKEN);
+  const viewer = await client('viewer', 'relay4', VIEW_TOKEN);
+  await sleep(100);
+
+  viewer.send(midi(99));
+  await sleep(100);
+  assert.equal(await snapshotFor(), null);
+
+  host.send(midi(42));
+  await sleep(100);
+  assert.deepEqual((await snapshotFor()).controls.map(i => i.value), [42]);
+
+  host.close();
+  await sleep(150);
+  assert.equal(await snapshotFor(), null);
+  viewer.close();
+});
+
+test('a map PUT over the REST API reaches the hosts too, not just the viewers', async () => {
+  const host = await client('host', 'relay5', HOST_TOKEN);
+  const viewer = await client('viewer', 'relay5', VIEW_TOKEN);
+  await sleep(100);
+
+  const res = await fetch(`http://127.0.0.1:${PORT}/api/rooms/relay5/map`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ key: 'api-v1', map: [{ key: 'cc:1:19', target: 'slider_ch1' }] }),
+  });
+  assert.equal((await res.json()).changed, true);
+  await sleep(150);
+
+  for (const s of [host, viewer]) {
+    assert.equal(s.frames.filter(m => m.type === 'map:sync').at(-1)?.key, 'api-v1');
+  }
+  [host, viewer].forEach(s => s.close());
+});